@@ -0,0 +1,264 @@
+// Server-side delivery for scheduled messages and reminders (see "Scheduled Messages &
+// Reminders" in app.jsx). `deliverScheduled` runs once a minute in production.
+//
+// `filterMessages` and `filterReplies` enforce each group's word filter (see "Moderation" in
+// app.jsx) on whatever reaches Firestore, whether or not the client checked it first.
+//
+// The Functions emulator doesn't fire schedules on its own, so when running under it,
+// `runScheduledDelivery` performs the same sweep on demand:
+//
+//   firebase emulators:start --only functions,firestore
+//   curl http://127.0.0.1:5001/<project-id>/us-central1/runScheduledDelivery
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { onRequest } from 'firebase-functions/v2/https';
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+
+initializeApp();
+const db = getFirestore();
+
+// Must match SCHEDULE_STATUS / REMINDER_STATUS in app.jsx
+const SCHEDULE_STATUS = { PENDING: 'pending', SENT: 'sent', CANCELLED: 'cancelled', FAILED: 'failed' };
+const REMINDER_STATUS = { PENDING: 'pending', FIRED: 'fired', DISMISSED: 'dismissed' };
+const SWEEP_LIMIT = 200; // Per collection per run; anything left over goes out a minute later
+const REMINDER_BATCH_SIZE = 400; // Firestore batches cap out at 500 writes
+const FILTER_ACTOR = { uid: 'SYSTEM', username: 'Word filter' };
+const HIDDEN_SNIPPET = 'Hidden message'; // getMessageSnippet in app.jsx
+
+const isEmulator = process.env.FUNCTIONS_EMULATOR === 'true';
+
+/** `artifacts/{appId}/public/data/groups/{groupId}` -> appId */
+const getAppId = (groupRef) => groupRef.path.split('/')[1];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Same matching as findBlockedWord in app.jsx: whole words, case-insensitive
+const findBlockedWord = (text, blockedWords) => {
+  if (!text || !blockedWords?.length) return null;
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(${blockedWords.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'iu');
+  return text.match(pattern)?.[1].toLowerCase() || null;
+};
+
+// Everything in a message the word filter reads: its text and, for polls, each option
+const getFilteredTexts = (message) => [message.content, ...(message.poll?.options || []).map(option => option.text)].filter(Boolean);
+
+const findBlockedWordInMessage = (message, blockedWords) => {
+  for (const text of getFilteredTexts(message)) {
+    const word = findBlockedWord(text, blockedWords);
+    if (word) return word;
+  }
+  return null;
+};
+
+const getBlockRef = (appId, blockerId, blockedId) => db.doc(`artifacts/${appId}/public/data/blocks/${blockerId}_${blockedId}`);
+
+/**
+ * Why the sender can no longer post into the group, or null if they still can. Mirrors the
+ * checks the client makes before enabling the composer, since moderation may have changed
+ * since the message was scheduled.
+ */
+const getDeliveryBlocker = async (transaction, groupRef, group, senderId, message) => {
+  if (!group.exists) return 'The conversation no longer exists.';
+  const members = group.get('members') || [];
+  if (!members.includes(senderId)) return 'You are no longer a member of this conversation.';
+  const mute = group.get('mutedMembers')?.[senderId];
+  if (mute && (mute.untilMs === null || mute.untilMs > Date.now())) return 'A moderator muted you in this group.';
+  const blockedWord = findBlockedWordInMessage(message, group.get('blockedWords'));
+  if (blockedWord) return `"${blockedWord}" is blocked in this group.`;
+  if (group.get('type') !== 'dm') return null;
+
+  const partnerId = members.find(uid => uid !== senderId);
+  const appId = getAppId(groupRef);
+  const [blocked, blockedBy] = await Promise.all([
+    transaction.get(getBlockRef(appId, senderId, partnerId)),
+    transaction.get(getBlockRef(appId, partnerId, senderId)),
+  ]);
+  return blocked.exists || blockedBy.exists ? "You can't send messages in this conversation." : null;
+};
+
+/**
+ * Posts one scheduled message the same way sendGroupMessage does on the client: the
+ * message, the group's `lastMessageAt` and any mention inbox entries in one write. The
+ * status check runs inside the transaction, so a cancel or edit that lands first wins.
+ */
+const deliverScheduledMessage = (scheduledRef) => db.runTransaction(async (transaction) => {
+  const scheduled = await transaction.get(scheduledRef);
+  if (!scheduled.exists || scheduled.get('status') !== SCHEDULE_STATUS.PENDING) return false;
+
+  const { message, senderId, snippet } = scheduled.data();
+  const groupRef = scheduledRef.parent.parent;
+  const group = await transaction.get(groupRef);
+  const failureReason = await getDeliveryBlocker(transaction, groupRef, group, senderId, message);
+  if (failureReason) {
+    transaction.update(scheduledRef, { status: SCHEDULE_STATUS.FAILED, failureReason, updatedAt: FieldValue.serverTimestamp() });
+    return false;
+  }
+
+  const messageRef = groupRef.collection('messages').doc();
+  const now = FieldValue.serverTimestamp();
+  transaction.set(messageRef, { ...message, scheduledId: scheduledRef.id, timestamp: now });
+  transaction.update(groupRef, { lastMessageAt: now });
+  const appId = getAppId(groupRef);
+  (message.mentions || []).forEach(uid => {
+    transaction.set(db.doc(`artifacts/${appId}/users/${uid}/mentions/${groupRef.id}_${messageRef.id}`), {
+      groupId: groupRef.id,
+      messageId: messageRef.id,
+      senderId: message.senderId,
+      senderUsername: message.senderUsername,
+      snippet,
+      groupMention: message.groupMention || null,
+      read: false,
+      timestamp: now,
+    });
+  });
+  transaction.update(scheduledRef, { status: SCHEDULE_STATUS.SENT, messageId: messageRef.id, sentAt: now });
+  return true;
+});
+
+const deliverDueMessages = async (now) => {
+  const due = await db.collectionGroup('scheduledMessages')
+    .where('status', '==', SCHEDULE_STATUS.PENDING)
+    .where('sendAt', '<=', now)
+    .orderBy('sendAt')
+    .limit(SWEEP_LIMIT)
+    .get();
+
+  let delivered = 0;
+  // One at a time: each is its own transaction, and a failure shouldn't hold up the rest
+  for (const scheduled of due.docs) {
+    try {
+      if (await deliverScheduledMessage(scheduled.ref)) delivered += 1;
+    } catch (error) {
+      logger.error('Error delivering scheduled message', { path: scheduled.ref.path, error });
+    }
+  }
+  return delivered;
+};
+
+const fireDueReminders = async (now) => {
+  const due = await db.collectionGroup('reminders')
+    .where('status', '==', REMINDER_STATUS.PENDING)
+    .where('remindAt', '<=', now)
+    .orderBy('remindAt')
+    .limit(SWEEP_LIMIT)
+    .get();
+
+  for (let i = 0; i < due.docs.length; i += REMINDER_BATCH_SIZE) {
+    const batch = db.batch();
+    due.docs.slice(i, i + REMINDER_BATCH_SIZE).forEach(reminder => {
+      batch.update(reminder.ref, { status: REMINDER_STATUS.FIRED, firedAt: FieldValue.serverTimestamp() });
+    });
+    await batch.commit();
+  }
+  return due.size;
+};
+
+const runSweep = async () => {
+  const now = Timestamp.now();
+  const [messagesDelivered, remindersFired] = await Promise.all([deliverDueMessages(now), fireDueReminders(now)]);
+  if (messagesDelivered || remindersFired) logger.info('Scheduled delivery', { messagesDelivered, remindersFired });
+  return { messagesDelivered, remindersFired };
+};
+
+/**
+ * Hides a message or reply that trips its group's word filter the way a moderator would
+ * (setMessageHidden in app.jsx): the content moves to hiddenContent, the action is logged,
+ * and previews that quoted it (mention inbox entries, the parent's last reply) are blanked.
+ */
+const enforceWordFilter = (groupRef, docRef, hiddenId, parentRef) => db.runTransaction(async (transaction) => {
+  const [group, current, parent] = await Promise.all([
+    transaction.get(groupRef),
+    transaction.get(docRef),
+    parentRef ? transaction.get(parentRef) : null,
+  ]);
+  if (!group.exists || !current.exists) return false;
+  const message = current.data();
+  if (message.hidden || message.deleted || ['SYSTEM', 'IMPORTED'].includes(message.senderId)) return false;
+  const blockedWord = findBlockedWordInMessage(message, group.get('blockedWords'));
+  if (!blockedWord) return false;
+
+  const appId = getAppId(groupRef);
+  const mentionRefs = parentRef ? [] : (message.mentions || [])
+    .map(uid => db.doc(`artifacts/${appId}/users/${uid}/mentions/${groupRef.id}_${current.id}`));
+  const mentions = mentionRefs.length ? await transaction.getAll(...mentionRefs) : [];
+
+  const now = FieldValue.serverTimestamp();
+  transaction.set(groupRef.collection('hiddenContent').doc(hiddenId), {
+    content: message.content || '',
+    ...(message.attachment ? { attachment: message.attachment } : {}),
+    ...(message.poll ? { poll: message.poll } : {}),
+    hiddenBy: FILTER_ACTOR.uid,
+    hiddenAt: now,
+    blockedWord,
+  });
+  transaction.update(docRef, { hidden: true, hiddenBy: FILTER_ACTOR.uid, hiddenAt: now, content: '', attachment: FieldValue.delete(), poll: FieldValue.delete() });
+  transaction.set(groupRef.collection('moderationLog').doc(), {
+    action: 'hide',
+    actorId: FILTER_ACTOR.uid,
+    actorUsername: FILTER_ACTOR.username,
+    messageId: parentRef ? parentRef.id : current.id,
+    reportCount: 0,
+    timestamp: now,
+  });
+  mentions.filter(mention => mention.exists).forEach(mention => transaction.update(mention.ref, { snippet: HIDDEN_SNIPPET }));
+  // postThreadReply writes the reply and the parent's preview with the same server timestamp
+  const lastReply = parent?.get('lastReply');
+  if (lastReply?.senderId === message.senderId && lastReply.timestamp?.isEqual(message.timestamp)) {
+    transaction.update(parentRef, { 'lastReply.snippet': HIDDEN_SNIPPET });
+  }
+  return true;
+});
+
+/**
+ * Only new or edited text needs checking: content or poll options, but not votes or closing
+ * a poll. The filter's own write empties both.
+ */
+const hasNewContent = (event) => {
+  const getTexts = (snapshot) => (snapshot?.exists ? getFilteredTexts(snapshot.data()) : []);
+  const after = getTexts(event.data?.after);
+  if (after.length === 0) return false;
+  const before = getTexts(event.data.before);
+  return after.length !== before.length || after.some((text, index) => text !== before[index]);
+};
+
+const runWordFilter = async (event, hiddenId, parentRef = null) => {
+  if (!hasNewContent(event)) return;
+  const { appId, groupId } = event.params;
+  const groupRef = db.doc(`artifacts/${appId}/public/data/groups/${groupId}`);
+  const docRef = event.data.after.ref;
+  try {
+    if (await enforceWordFilter(groupRef, docRef, hiddenId, parentRef)) {
+      logger.info('Word filter hid content', { path: docRef.path });
+    }
+  } catch (error) {
+    logger.error('Error enforcing word filter', { path: docRef.path, error });
+  }
+};
+
+export const filterMessages = onDocumentWritten('artifacts/{appId}/public/data/groups/{groupId}/messages/{messageId}', async (event) => {
+  await runWordFilter(event, event.params.messageId);
+});
+
+export const filterReplies = onDocumentWritten('artifacts/{appId}/public/data/groups/{groupId}/messages/{messageId}/replies/{replyId}', async (event) => {
+  const { messageId, replyId } = event.params;
+  await runWordFilter(event, `${messageId}_${replyId}`, event.data.after.ref.parent.parent);
+});
+
+export const deliverScheduled = onSchedule('every 1 minutes', async () => {
+  await runSweep();
+});
+
+export const runScheduledDelivery = onRequest(async (req, res) => {
+  if (!isEmulator) {
+    res.status(404).send('Not found');
+    return;
+  }
+  try {
+    res.json(await runSweep());
+  } catch (error) {
+    logger.error('Scheduled delivery failed', error);
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -0,0 +1,78 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { createMemoryDataStore, DataStoreContext, ChatArea } from '../app.jsx';
+
+afterEach(cleanup);
+
+const group = { id: 'g1', name: 'general', type: 'group', ownerId: 'alice', members: ['alice', 'bob'] };
+
+const messages = [
+  { id: 'm1', type: 'text', senderId: 'bob', senderUsername: 'bob', content: 'Morning all', timestamp: Timestamp.fromMillis(1000) },
+  {
+    id: 'p1',
+    type: 'poll',
+    senderId: 'bob',
+    senderUsername: 'bob',
+    content: 'Lunch?',
+    timestamp: Timestamp.fromMillis(2000),
+    poll: {
+      options: [{ id: 'opt0', text: 'Pizza' }, { id: 'opt1', text: 'Salad' }],
+      multiple: false,
+      anonymous: false,
+      closesAtMs: null,
+      closed: false,
+      counts: {},
+      voterCount: 0,
+    },
+  },
+];
+
+const renderChat = (store) => render(
+  <DataStoreContext.Provider value={store}>
+    <ChatArea
+      currentUserId="alice"
+      currentUsername="alice"
+      selectedGroup={group}
+      messages={messages}
+      hasOlderMessages={false}
+      loadingOlderMessages={false}
+      onLoadOlderMessages={vi.fn()}
+      outboxEntries={[]}
+      onSendMessage={vi.fn()}
+      onRetryMessage={vi.fn()}
+      onDiscardMessage={vi.fn()}
+      friends={[]}
+      blockedUserIds={new Set()}
+      jumpRequest={null}
+      onJumpHandled={vi.fn()}
+      setToastMessage={vi.fn()}
+    />
+  </DataStoreContext.Provider>
+);
+
+describe('ChatArea', () => {
+  it('renders a conversation from the memory store and records votes there', async () => {
+    const store = createMemoryDataStore({
+      profiles: { alice: { uid: 'alice', username: 'alice' }, bob: { uid: 'bob', username: 'bob' } },
+      groups: { g1: group },
+      messages: { g1: messages },
+    });
+    renderChat(store);
+
+    expect(await screen.findByText('Morning all')).toBeTruthy();
+    expect(screen.getByPlaceholderText('Message #general...')).toBeTruthy();
+
+    fireEvent.click(screen.getByText(/Pizza/).closest('button'));
+
+    await waitFor(async () => expect((await store.messages.get('g1', 'p1')).poll.counts).toEqual({ opt0: 1 }));
+  });
+
+  it('moves the read marker up to the newest message', async () => {
+    const store = createMemoryDataStore({ groups: { g1: group }, messages: { g1: messages } });
+    renderChat(store);
+
+    await waitFor(async () => expect(await store.readState.get('g1', 'alice')).toMatchObject({ lastReadMessageId: 'p1' }));
+  });
+});
@@ -0,0 +1,62 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { createMemoryDataStore, DataStoreContext, FriendRequestsView } from '../app.jsx';
+
+afterEach(cleanup);
+
+const renderView = (store, props = {}) => render(
+  <DataStoreContext.Provider value={store}>
+    <FriendRequestsView
+      currentUserId="alice"
+      currentUsername="alice"
+      friends={[]}
+      blockedUsers={[]}
+      onOpenDirectMessage={vi.fn()}
+      setToastMessage={vi.fn()}
+      {...props}
+    />
+  </DataStoreContext.Provider>
+);
+
+const pendingRequest = () => ({
+  senderId: 'bob',
+  senderUsername: 'bob',
+  receiverId: 'alice',
+  receiverUsername: 'alice',
+  status: 'pending',
+  createdAt: Timestamp.now(),
+  expiresAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000),
+});
+
+describe('FriendRequestsView', () => {
+  it('accepts a request under the current username and opens the DM', async () => {
+    const store = createMemoryDataStore({ requests: { r1: pendingRequest() } });
+    const setToastMessage = vi.fn();
+    renderView(store, { setToastMessage });
+
+    fireEvent.click(await screen.findByText('Accept'));
+
+    await waitFor(() => expect(setToastMessage).toHaveBeenCalledWith({ message: 'Accepted friend request from bob.', type: 'success' }));
+    let bobsFriends;
+    store.friends.subscribe('bob', value => { bobsFriends = value; });
+    let groups;
+    store.groups.subscribeForMember('alice', value => { groups = value; });
+    await waitFor(() => expect(groups).toHaveLength(1));
+
+    expect(bobsFriends).toMatchObject([{ uid: 'alice', username: 'alice', requestId: 'r1' }]);
+    expect(groups[0]).toMatchObject({ type: 'dm', memberUsernames: { alice: 'alice', bob: 'bob' } });
+    expect(screen.queryByText('bob wants to be friends.')).toBeNull();
+  });
+
+  it('declines a request', async () => {
+    const store = createMemoryDataStore({ requests: { r1: pendingRequest() } });
+    renderView(store);
+
+    fireEvent.click(await screen.findByText('Decline'));
+
+    await waitFor(() => expect(screen.queryByText('bob wants to be friends.')).toBeNull());
+    expect(await store.requests.getReRequestAvailableAt('bob', 'alice')).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,206 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, cleanup } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { MessageItem } from '../app.jsx';
+
+afterEach(cleanup);
+
+const message = {
+  id: 'm1',
+  type: 'text',
+  senderId: 'alice',
+  senderUsername: 'alice',
+  content: 'Hello there',
+  timestamp: Timestamp.fromMillis(1000),
+};
+
+const renderMessage = (props) => render(
+  <MessageItem
+    msg={message}
+    currentUserId="alice"
+    canDeleteOthers={false}
+    onEdit={vi.fn()}
+    onDelete={vi.fn()}
+    onEditGif={vi.fn()}
+    onLoadRevisions={vi.fn()}
+    {...props}
+  />
+);
+
+describe('MessageItem editing', () => {
+  it('only offers edit to the sender, and delete to the sender or a moderator', () => {
+    renderMessage({ currentUserId: 'bob' });
+    expect(screen.queryByText('Edit')).toBeNull();
+    expect(screen.queryByText('Delete')).toBeNull();
+    cleanup();
+
+    renderMessage({ currentUserId: 'bob', canDeleteOthers: true });
+    expect(screen.queryByText('Edit')).toBeNull();
+    expect(screen.getByText('Delete')).toBeTruthy();
+    cleanup();
+
+    renderMessage();
+    expect(screen.getByText('Edit')).toBeTruthy();
+    expect(screen.getByText('Delete')).toBeTruthy();
+  });
+
+  it('saves a trimmed edit and leaves edit mode once it succeeds', async () => {
+    const onEdit = vi.fn().mockResolvedValue(true);
+    renderMessage({ onEdit });
+
+    fireEvent.click(screen.getByText('Edit'));
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: '  Hello again  ' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(onEdit).toHaveBeenCalledWith(message, 'Hello again');
+    await waitFor(() => expect(screen.queryByRole('textbox')).toBeNull());
+  });
+
+  it('stays in edit mode when the save fails, and skips saving unchanged content', async () => {
+    const onEdit = vi.fn().mockResolvedValue(false);
+    renderMessage({ onEdit });
+
+    fireEvent.click(screen.getByText('Edit'));
+    fireEvent.click(screen.getByText('Save'));
+    expect(onEdit).not.toHaveBeenCalled();
+    expect(screen.queryByRole('textbox')).toBeNull();
+
+    fireEvent.click(screen.getByText('Edit'));
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Changed' } });
+    fireEvent.keyDown(screen.getByRole('textbox'), { key: 'Enter' });
+    await waitFor(() => expect(onEdit).toHaveBeenCalledWith(message, 'Changed'));
+    expect(screen.getByRole('textbox')).toBeTruthy();
+  });
+
+  it('hands GIF edits to the picker instead of a text box', () => {
+    const onEditGif = vi.fn();
+    const gif = { ...message, type: 'gif', content: 'https://media.example/cat.gif' };
+    renderMessage({ msg: gif, onEditGif });
+
+    fireEvent.click(screen.getByText('Edit'));
+    expect(onEditGif).toHaveBeenCalledWith(gif);
+    expect(screen.queryByRole('textbox')).toBeNull();
+  });
+
+  it('shows earlier versions of an edited message', async () => {
+    const edited = { ...message, content: 'Hello (fixed)', editedAt: Timestamp.fromMillis(2000), editCount: 1 };
+    const onLoadRevisions = vi.fn().mockResolvedValue([
+      { id: 'r1', type: 'text', content: 'Helo', writtenAt: Timestamp.fromMillis(1000) },
+    ]);
+    renderMessage({ msg: edited, onLoadRevisions });
+
+    fireEvent.click(screen.getByText('(edited)'));
+    expect(await screen.findByText('Helo')).toBeTruthy();
+    expect(onLoadRevisions).toHaveBeenCalledWith(edited);
+
+    fireEvent.click(screen.getByText('(edited)'));
+    expect(screen.queryByText('Helo')).toBeNull();
+  });
+});
+
+describe('MessageItem tombstones', () => {
+  it('renders a deleted message as a tombstone with no actions or history', () => {
+    const deleted = {
+      ...message,
+      content: '',
+      editedAt: Timestamp.fromMillis(2000),
+      deleted: true,
+      deletedBy: 'alice',
+      deletedAt: Timestamp.fromMillis(3000),
+    };
+    renderMessage({ msg: deleted, canDeleteOthers: true });
+
+    expect(screen.getByText('This message was deleted.')).toBeTruthy();
+    expect(screen.queryByText('Edit')).toBeNull();
+    expect(screen.queryByText('Delete')).toBeNull();
+    expect(screen.queryByText('(edited)')).toBeNull();
+  });
+
+  it('passes the message to the delete handler', () => {
+    const onDelete = vi.fn();
+    renderMessage({ onDelete });
+
+    fireEvent.click(screen.getByText('Delete'));
+    expect(onDelete).toHaveBeenCalledWith(message);
+  });
+});
+
+describe('MessageItem reactions', () => {
+  const profiles = { alice: { username: 'alice' }, bob: { username: 'bob' }, carol: { username: 'carol' } };
+
+  it('shows a count per emoji with the reactors in the tooltip', () => {
+    const reacted = { ...message, reactions: { '👍': ['bob', 'alice'], '🎉': ['carol'], '😢': [] } };
+    renderMessage({ msg: reacted, memberProfiles: profiles, onToggleReaction: vi.fn() });
+
+    const thumbs = screen.getByTitle('bob, You');
+    expect(thumbs.textContent).toBe('👍2');
+    expect(screen.getByTitle('carol').textContent).toBe('🎉1');
+    // Emptied reactions are left in the map by arrayRemove but aren't shown
+    expect(screen.queryByText('😢')).toBeNull();
+  });
+
+  it('toggles an existing reaction from its chip and adds new ones from the picker', () => {
+    const onToggleReaction = vi.fn();
+    const reacted = { ...message, reactions: { '👍': ['bob'] } };
+    renderMessage({ msg: reacted, memberProfiles: profiles, onToggleReaction });
+
+    fireEvent.click(screen.getByTitle('bob'));
+    expect(onToggleReaction).toHaveBeenLastCalledWith(reacted, '👍');
+
+    fireEvent.click(screen.getByText('React'));
+    fireEvent.click(screen.getByText('🎉'));
+    expect(onToggleReaction).toHaveBeenLastCalledWith(reacted, '🎉');
+    // The picker closes after a choice
+    expect(screen.queryByText('🎉')).toBeNull();
+  });
+
+  it('offers no reactions on system messages or tombstones', () => {
+    renderMessage({ msg: { ...message, senderId: 'SYSTEM', senderUsername: 'System' }, onToggleReaction: vi.fn() });
+    expect(screen.queryByText('React')).toBeNull();
+    cleanup();
+
+    const deleted = { ...message, content: '', deleted: true, reactions: { '👍': ['bob'] } };
+    renderMessage({ msg: deleted, memberProfiles: profiles, onToggleReaction: vi.fn() });
+    expect(screen.queryByText('React')).toBeNull();
+    expect(screen.queryByTitle('bob')).toBeNull();
+  });
+});
+
+describe('MessageItem threads and quotes', () => {
+  it('summarises the thread under its parent and opens it', () => {
+    const onOpenThread = vi.fn();
+    const parent = {
+      ...message,
+      replyCount: 2,
+      lastReply: { senderId: 'bob', senderUsername: 'bob', snippet: 'Sounds good' },
+    };
+    renderMessage({ msg: parent, onOpenThread, onQuoteReply: vi.fn() });
+
+    fireEvent.click(screen.getByText('2 replies'));
+    expect(onOpenThread).toHaveBeenCalledWith(parent);
+    expect(screen.getByText('bob: Sounds good')).toBeTruthy();
+  });
+
+  it('jumps to the quoted message and starts quote replies', () => {
+    const onJumpToMessage = vi.fn();
+    const onQuoteReply = vi.fn();
+    const quoting = { ...message, quote: { messageId: 'm0', senderId: 'bob', senderUsername: 'bob', snippet: 'Lunch?' } };
+    renderMessage({ msg: quoting, onJumpToMessage, onQuoteReply, onOpenThread: vi.fn() });
+
+    fireEvent.click(screen.getByTitle('Jump to message'));
+    expect(onJumpToMessage).toHaveBeenCalledWith('m0');
+
+    fireEvent.click(screen.getByText('Reply'));
+    expect(onQuoteReply).toHaveBeenCalledWith(quoting);
+  });
+
+  it('hides thread actions in read-only views', () => {
+    const parent = { ...message, replyCount: 1, lastReply: { senderUsername: 'bob', snippet: 'Hi' } };
+    renderMessage({ msg: parent, readOnly: true });
+
+    expect(screen.queryByText('1 reply')).toBeNull();
+    expect(screen.queryByText('Thread')).toBeNull();
+    expect(screen.queryByText('Edit')).toBeNull();
+  });
+});
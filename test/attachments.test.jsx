@@ -0,0 +1,69 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, cleanup } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { MessageItem, ImageLightbox, validateAttachment, formatFileSize, toStorageFileName, getMessageSnippet } from '../app.jsx';
+
+afterEach(cleanup);
+
+const fakeFile = (name, type, size) => ({ name, type, size });
+
+describe('validateAttachment', () => {
+  it('accepts supported images and files within their limits', () => {
+    expect(validateAttachment(fakeFile('cat.png', 'image/png', 2 * 1024 * 1024))).toBeNull();
+    expect(validateAttachment(fakeFile('talk.mp4', 'video/mp4', 20 * 1024 * 1024))).toBeNull();
+    expect(validateAttachment(fakeFile('notes.pdf', 'application/pdf', 1024))).toBeNull();
+  });
+
+  it('rejects unsupported types, including SVG, and oversized files', () => {
+    expect(validateAttachment(fakeFile('logo.svg', 'image/svg+xml', 1024))).toBe("logo.svg: this file type isn't supported.");
+    expect(validateAttachment(fakeFile('setup.exe', 'application/x-msdownload', 1024))).toBe("setup.exe: this file type isn't supported.");
+    expect(validateAttachment(fakeFile('huge.png', 'image/png', 11 * 1024 * 1024))).toBe('huge.png is too large (max 10.0 MB).');
+    expect(validateAttachment(fakeFile('huge.zip', 'application/zip', 26 * 1024 * 1024))).toBe('huge.zip is too large (max 25.0 MB).');
+  });
+});
+
+describe('attachment helpers', () => {
+  it('formats sizes for display', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(3 * 1024 * 1024)).toBe('3.0 MB');
+  });
+
+  it('makes file names safe for Storage paths', () => {
+    expect(toStorageFileName('My Report (final).pdf')).toBe('My_Report_final_.pdf');
+    expect(toStorageFileName('../../etc/passwd')).toBe('.._.._etc_passwd');
+    expect(toStorageFileName('')).toBe('file');
+  });
+
+  it('summarises attachments in quotes and thread previews', () => {
+    expect(getMessageSnippet({ type: 'image', attachment: { name: 'cat.png' } })).toBe('Image: cat.png');
+    expect(getMessageSnippet({ type: 'file', attachment: { name: 'notes.pdf' } })).toBe('File: notes.pdf');
+  });
+});
+
+describe('attachment links', () => {
+  const fileMessage = (url) => ({
+    id: 'm1',
+    type: 'file',
+    senderId: 'bob',
+    senderUsername: 'bob',
+    content: '',
+    attachment: { name: 'notes.pdf', size: 2048, contentType: 'application/pdf', url },
+    timestamp: Timestamp.fromMillis(1000),
+  });
+
+  it('links file cards to their download URL', () => {
+    const { container } = render(<MessageItem msg={fileMessage('https://storage.example/notes.pdf')} currentUserId="alice" readOnly />);
+    expect(container.querySelector('a[download]').getAttribute('href')).toBe('https://storage.example/notes.pdf');
+  });
+
+  it('never links a script URL from the message doc', () => {
+    const { container } = render(<MessageItem msg={fileMessage('javascript:alert(1)')} currentUserId="alice" readOnly />);
+    expect(container.querySelector('a[download]').hasAttribute('href')).toBe(false);
+    cleanup();
+
+    render(<ImageLightbox attachment={{ name: 'cat.png', size: 2048, url: 'javascript:alert(1)' }} onClose={vi.fn()} />);
+    expect(screen.getByText('Download').hasAttribute('href')).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { planBlock, createMessageSearchIndex } from '../app.jsx';
+
+describe('planBlock', () => {
+  it("records the block, cancels the blocker's own request and declines the other", () => {
+    const pending = [
+      { id: 'r1', senderId: 'alice', receiverId: 'mallory', status: 'pending' },
+      { id: 'r2', senderId: 'mallory', receiverId: 'alice', status: 'pending' },
+    ];
+    expect(planBlock('alice', 'mallory', 'mallory', pending)).toEqual({
+      block: { blockerId: 'alice', blockedId: 'mallory', blockedUsername: 'mallory' },
+      resolutions: [{ id: 'r1', status: 'cancelled' }, { id: 'r2', status: 'declined' }],
+    });
+  });
+});
+
+describe('search with blocked users', () => {
+  const index = createMessageSearchIndex();
+  const add = (id, senderId, content) => index.add('g1', {
+    id,
+    type: 'text',
+    senderId,
+    senderUsername: senderId,
+    content,
+    timestamp: Timestamp.fromMillis(1000),
+  });
+  add('m1', 'alice', 'party on friday');
+  add('m2', 'mallory', 'party crasher');
+
+  it('leaves blocked senders out of results and counts', () => {
+    const blocked = new Set(['mallory']);
+    expect(index.search({ text: 'party' }).total).toBe(2);
+    expect(index.search({ text: 'party', excludeSenderIds: blocked })).toMatchObject({ total: 1, results: [{ id: 'm1' }] });
+  });
+
+  it('leaves blocked senders out of the sender filter', () => {
+    expect(index.getSenders(new Set(['mallory']))).toEqual(['alice']);
+  });
+});
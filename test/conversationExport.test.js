@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { buildConversationExport, parseConversationExport, createMemoryDataStore } from '../app.jsx';
+
+const at = (ms) => Timestamp.fromMillis(ms);
+
+const exportText = (messages) => JSON.stringify({
+  format: 'prochat-conversation',
+  version: 1,
+  group: { id: 'g1', name: 'general', members: [] },
+  messages,
+});
+
+describe('buildConversationExport', () => {
+  const group = { id: 'g1', name: 'general', type: 'channel', members: ['alice', 'bob'], roles: { alice: 'owner' } };
+  const messages = [
+    { id: 'm1', type: 'text', senderId: 'bob', senderUsername: 'bob', content: 'spam', timestamp: at(1000) },
+    { id: 'm2', type: 'text', senderId: 'alice', senderUsername: 'alice', content: 'Lunch?', timestamp: at(2000), replyCount: 1 },
+  ];
+  const replies = { 'g1/m2': [{ id: 'r1', type: 'text', senderId: 'bob', senderUsername: 'bob', content: 'Sure', timestamp: at(3000) }] };
+  const options = { title: 'general', memberNames: { alice: 'alice', bob: 'bob' } };
+
+  it('writes hidden messages out in full for moderators, and as placeholders for everyone else', async () => {
+    const store = createMemoryDataStore({ groups: { g1: group }, messages: { g1: messages }, replies });
+    await store.moderation.setHidden('g1', 'm1', { uid: 'alice', username: 'alice' }, true, []);
+
+    const full = await buildConversationExport(store, group, { ...options, includeHidden: true });
+    expect(full.messages[0]).toMatchObject({ id: 'm1', hidden: true, content: 'spam' });
+    expect(full.messages[0]).not.toHaveProperty('concealed');
+
+    const concealed = await buildConversationExport(store, group, { ...options, includeHidden: false });
+    expect(concealed.messages[0]).toMatchObject({ id: 'm1', content: '', concealed: true });
+  });
+
+  it('includes each thread under its parent', async () => {
+    const store = createMemoryDataStore({ groups: { g1: group }, messages: { g1: messages }, replies });
+
+    const exported = await buildConversationExport(store, group, { ...options, includeHidden: false });
+    expect(exported.messages.map(m => m.id)).toEqual(['m1', 'm2']);
+    expect(exported.messages[0]).not.toHaveProperty('replies');
+    expect(exported.messages[1].replies).toMatchObject([{ id: 'r1', content: 'Sure' }]);
+  });
+});
+
+describe('parseConversationExport', () => {
+  it('rejects messages and replies whose ids could not be document ids', () => {
+    const valid = { id: 'm1', type: 'text', content: 'hi' };
+    ['', 'a/b', 7, undefined].forEach(id => {
+      expect(() => parseConversationExport(exportText([{ ...valid, id }]))).toThrow('invalid id');
+      expect(() => parseConversationExport(exportText([{ ...valid, replies: [{ ...valid, id }] }]))).toThrow('invalid id');
+    });
+  });
+
+  it('keeps only the fields a message of its type can have', () => {
+    const { messages } = parseConversationExport(exportText([
+      { id: 'm1', type: 'text', content: 'hi', attachment: { url: 'https://files.example/a.png' }, poll: { options: [] }, importedFrom: 'x', isAdmin: true },
+      { id: 'm2', type: 'image', content: '', attachment: { name: 'a.png', url: 'https://files.example/a.png', storagePath: 'groups/other/a.png' } },
+      { id: 'm3', type: 'poll', content: 'Lunch?', poll: { question: 'Lunch?', options: [{ id: 'o1', text: 'Yes' }] }, attachment: { name: 'x' } },
+    ]));
+
+    expect(messages[0]).toEqual({ id: 'm1', type: 'text', content: 'hi' });
+    expect(messages[1].attachment).toEqual({ name: 'a.png', url: 'https://files.example/a.png' });
+    expect(messages[2]).not.toHaveProperty('attachment');
+    expect(messages[2].poll.options).toHaveLength(1);
+  });
+
+  it('drops attachment links that are not web URLs', () => {
+    const { messages } = parseConversationExport(exportText([{
+      id: 'm1',
+      type: 'file',
+      content: '',
+      attachment: { name: 'notes.txt', url: 'javascript:alert(1)', thumbnailUrl: 'data:text/html,hi' },
+    }]));
+
+    expect(messages[0].attachment).toEqual({ name: 'notes.txt', url: null, thumbnailUrl: null });
+  });
+
+  it('rejects unknown types, polls without options and malformed attachments', () => {
+    expect(() => parseConversationExport(exportText([{ id: 'm1', type: 'sticker' }]))).toThrow('type');
+    expect(() => parseConversationExport(exportText([{ id: 'm1', type: 'poll', poll: {} }]))).toThrow('poll');
+    expect(() => parseConversationExport(exportText([{ id: 'm1', type: 'image', attachment: 'a.png' }]))).toThrow('attachment');
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { getDmGroupId, getDmTitle } from '../app.jsx';
+
+describe('getDmGroupId', () => {
+  it('gives both participants the same id whichever side opens the DM', () => {
+    expect(getDmGroupId('bob', 'alice')).toBe('dm_alice_bob');
+    expect(getDmGroupId('alice', 'bob')).toBe('dm_alice_bob');
+  });
+});
+
+describe('getDmTitle', () => {
+  const dm = { id: 'dm_alice_bob', type: 'dm', members: ['alice', 'bob'], memberUsernames: { alice: 'alice', bob: 'bob' } };
+
+  it("uses the other participant's current username", () => {
+    expect(getDmTitle(dm, 'alice', { bob: { username: 'bobby' } })).toBe('bobby');
+    expect(getDmTitle(dm, 'bob', { alice: { username: 'alice' } })).toBe('alice');
+  });
+
+  it('falls back to the name stored at creation while profiles load', () => {
+    expect(getDmTitle(dm, 'alice', {})).toBe('bob');
+    expect(getDmTitle({ ...dm, memberUsernames: undefined }, 'alice', {})).toBe('Direct Message');
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { isRequestExpired, getReRequestCooldownEnd } from '../app.jsx';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('isRequestExpired', () => {
+  const now = 100 * DAY_MS;
+
+  it('expires pending requests once their expiry has passed', () => {
+    expect(isRequestExpired({ status: 'pending', expiresAt: Timestamp.fromMillis(now - 1) }, now)).toBe(true);
+    expect(isRequestExpired({ status: 'pending', expiresAt: Timestamp.fromMillis(now + 1) }, now)).toBe(false);
+  });
+
+  it('falls back to the creation time for requests without an expiry', () => {
+    expect(isRequestExpired({ status: 'pending', createdAt: Timestamp.fromMillis(now - 15 * DAY_MS) }, now)).toBe(true);
+    expect(isRequestExpired({ status: 'pending', createdAt: Timestamp.fromMillis(now - 13 * DAY_MS) }, now)).toBe(false);
+    // Not yet written by the server
+    expect(isRequestExpired({ status: 'pending', createdAt: null }, now)).toBe(false);
+  });
+
+  it('never expires resolved requests', () => {
+    expect(isRequestExpired({ status: 'declined', expiresAt: Timestamp.fromMillis(0) }, now)).toBe(false);
+  });
+});
+
+describe('getReRequestCooldownEnd', () => {
+  it('runs for a week from the most recent decline', () => {
+    const lastDeclinedAt = Date.now() - DAY_MS;
+    const declined = [
+      { resolvedAt: Timestamp.fromMillis(lastDeclinedAt - 3 * DAY_MS) },
+      { resolvedAt: Timestamp.fromMillis(lastDeclinedAt) },
+    ];
+    expect(getReRequestCooldownEnd(declined)).toEqual(new Date(lastDeclinedAt + 7 * DAY_MS));
+  });
+
+  it('is over once a week has passed, or when nothing was declined', () => {
+    expect(getReRequestCooldownEnd([{ resolvedAt: Timestamp.fromMillis(Date.now() - 8 * DAY_MS) }])).toBeNull();
+    expect(getReRequestCooldownEnd([])).toBeNull();
+  });
+});
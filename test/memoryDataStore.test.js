@@ -0,0 +1,368 @@
+import { describe, it, expect } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { createMemoryDataStore } from '../app.jsx';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const at = (ms) => Timestamp.fromMillis(ms);
+
+const seedMessages = (count) => Array.from({ length: count }, (_, i) => ({
+  id: `m${i}`,
+  type: 'text',
+  senderId: 'alice',
+  senderUsername: 'alice',
+  content: `message ${i}`,
+  timestamp: at(1000 + i),
+}));
+
+const channel = (overrides = {}) => ({
+  name: 'general',
+  type: 'group',
+  ownerId: 'alice',
+  members: ['alice', 'bob', 'carol'],
+  ...overrides,
+});
+
+describe('messages', () => {
+  it('pages backwards from a cursor', async () => {
+    const store = createMemoryDataStore({ groups: { g1: channel() }, messages: { g1: seedMessages(5) } });
+
+    const newest = await store.messages.fetchPage('g1', null, 2);
+    expect(newest.messages.map(m => m.id)).toEqual(['m3', 'm4']);
+    expect(newest.hasMore).toBe(true);
+
+    const older = await store.messages.fetchPage('g1', newest.cursor, 2);
+    expect(older.messages.map(m => m.id)).toEqual(['m1', 'm2']);
+  });
+
+  it('rejects an unknown cursor', async () => {
+    const store = createMemoryDataStore({ groups: { g1: channel() }, messages: { g1: seedMessages(3) } });
+
+    await expect(store.messages.fetchPage('g1', 'missing', 2)).rejects.toThrow('Unknown message cursor missing.');
+    expect(() => store.messages.subscribeRange('g1', 'missing', null, () => {})).toThrow('Unknown message cursor missing.');
+    expect(() => store.messages.subscribeRange('g1', 'm0', 'missing', () => {})).toThrow('Unknown message cursor missing.');
+  });
+
+  it('delivers live messages in a range', async () => {
+    const store = createMemoryDataStore({ groups: { g1: channel() }, messages: { g1: seedMessages(3) } });
+    const deliveries = [];
+    store.messages.subscribeRange('g1', 'm1', null, messages => deliveries.push(messages.map(m => m.content)));
+
+    await store.messages.send('g1', { senderId: 'bob', senderUsername: 'bob', content: 'hi' });
+    await flush();
+
+    expect(deliveries[deliveries.length - 1]).toEqual(['message 1', 'message 2', 'hi']);
+  });
+
+  it('files mentions in the mentioned members\' inboxes', async () => {
+    const store = createMemoryDataStore({ groups: { g1: channel() } });
+    const { id } = await store.messages.send('g1', { senderId: 'alice', senderUsername: 'alice', content: '@bob look', mentions: ['bob'] });
+
+    let mentions;
+    store.mentions.subscribe('bob', value => { mentions = value; });
+    await flush();
+    expect(mentions).toMatchObject([{ id: `g1_${id}`, groupId: 'g1', messageId: id, snippet: '@bob look', read: false }]);
+
+    await store.mentions.markRead('bob', mentions[0].id);
+    await flush();
+    expect(mentions[0].read).toBe(true);
+  });
+});
+
+describe('messages.fetchSince', () => {
+  it('pages forwards from a time, continuing after the cursor', async () => {
+    const store = createMemoryDataStore({ groups: { g1: channel() }, messages: { g1: seedMessages(5) } });
+
+    const first = await store.messages.fetchSince('g1', 1001, null, 2);
+    expect(first.messages.map(m => m.id)).toEqual(['m1', 'm2']);
+    expect(first.hasMore).toBe(true);
+
+    const rest = await store.messages.fetchSince('g1', 1001, first.cursor, 2);
+    expect(rest.messages.map(m => m.id)).toEqual(['m3', 'm4']);
+    expect((await store.messages.fetchSince('g1', 1001, rest.cursor, 2)).hasMore).toBe(false);
+  });
+
+  it('finds messages edited or deleted since a time', async () => {
+    const store = createMemoryDataStore({
+      groups: { g1: channel() },
+      messages: { g1: [...seedMessages(2), { ...seedMessages(3)[2], editedAt: at(5000) }] },
+    });
+    await store.messages.remove('g1', 'm0', 'alice');
+
+    const changed = await store.messages.fetchChangedSince('g1', 4000);
+    expect(changed.map(m => m.id)).toEqual(['m0', 'm2']);
+  });
+});
+
+describe('groups.leave', () => {
+  it('hands ownership to an admin and posts the notice', async () => {
+    const store = createMemoryDataStore({
+      groups: { g1: channel({ roles: { carol: 'admin' } }) },
+    });
+
+    const successor = await store.groups.leave('g1', 'alice', 'alice');
+
+    let groups;
+    store.groups.subscribeForMember('carol', value => { groups = value; });
+    await flush();
+    expect(successor).toBe('carol');
+    expect(groups[0]).toMatchObject({ ownerId: 'carol', members: ['bob', 'carol'], roles: {} });
+
+    const { messages } = await store.messages.fetchPage('g1', null, 10);
+    expect(messages.map(m => [m.senderId, m.content])).toEqual([['SYSTEM', 'alice left the group.']]);
+  });
+
+  it('returns null for a group that no longer exists', async () => {
+    const store = createMemoryDataStore();
+    expect(await store.groups.leave('gone', 'alice', 'alice')).toBeNull();
+  });
+});
+
+describe('users.changeUsername', () => {
+  it('rewrites the copies other users read', async () => {
+    const store = createMemoryDataStore({
+      usernames: { alice: { uid: 'alice', username: 'alice', usernameLower: 'alice' } },
+      profiles: { alice: { uid: 'alice', username: 'alice' } },
+      friends: {
+        alice: { bob: { uid: 'bob', username: 'bob' } },
+        bob: { alice: { uid: 'alice', username: 'alice' } },
+      },
+      requests: {
+        r1: { senderId: 'alice', senderUsername: 'alice', receiverId: 'carol', receiverUsername: 'carol', status: 'pending' },
+      },
+      groups: {
+        dm: { type: 'dm', members: ['alice', 'bob'], memberUsernames: { alice: 'alice', bob: 'bob' } },
+        g1: channel(),
+      },
+    });
+
+    await store.users.changeUsername('alice', 'alice', 'Alicia');
+
+    expect(await store.users.findByUsername('alice')).toBeNull();
+    expect(await store.users.findByUsername('alicia')).toMatchObject({ uid: 'alice', username: 'Alicia' });
+
+    let bobsFriends;
+    store.friends.subscribe('bob', value => { bobsFriends = value; });
+    let sent;
+    store.requests.subscribeSent('alice', value => { sent = value; });
+    let bobsGroups;
+    store.groups.subscribeForMember('bob', value => { bobsGroups = value; });
+    await flush();
+
+    expect(bobsFriends).toMatchObject([{ uid: 'alice', username: 'Alicia' }]);
+    expect(sent).toMatchObject([{ id: 'r1', senderUsername: 'Alicia' }]);
+    expect(bobsGroups.find(g => g.id === 'dm').memberUsernames).toEqual({ alice: 'Alicia', bob: 'bob' });
+    expect(bobsGroups.find(g => g.id === 'g1').memberUsernames).toBeUndefined();
+  });
+});
+
+describe('avatars', () => {
+  it('stores a valid image and clears it again', async () => {
+    const store = createMemoryDataStore({ profiles: { alice: { username: 'alice' } } });
+    const file = new File(['x'], 'me.png', { type: 'image/png' });
+
+    const { avatarUrl, avatarPath } = await store.users.uploadAvatar('alice', file);
+    expect(avatarPath).toMatch(/users\/alice\/avatar\.jpg$/);
+    await store.users.updateProfile('alice', { avatarUrl, avatarPath });
+
+    await store.users.removeAvatar('alice', avatarPath);
+    expect(await store.users.getProfile('alice')).toMatchObject({ avatarUrl: null, avatarPath: null });
+  });
+
+  it('refuses files that aren\'t images', async () => {
+    const store = createMemoryDataStore();
+    await expect(store.users.uploadAvatar('alice', new File(['x'], 'notes.txt', { type: 'text/plain' }))).rejects.toThrow('Avatars must be');
+  });
+});
+
+describe('friends.block', () => {
+  it('ends the friendship and closes pending requests both ways', async () => {
+    const store = createMemoryDataStore({
+      friends: {
+        alice: { bob: { uid: 'bob', username: 'bob' } },
+        bob: { alice: { uid: 'alice', username: 'alice' } },
+      },
+      requests: {
+        mine: { senderId: 'alice', receiverId: 'bob', status: 'pending' },
+        theirs: { senderId: 'bob', receiverId: 'alice', status: 'pending' },
+        other: { senderId: 'bob', receiverId: 'carol', status: 'pending' },
+      },
+    });
+
+    await store.friends.block('alice', 'bob', 'bob');
+
+    expect(await store.friends.getBlockStatus('bob', 'alice')).toEqual({ blockedByMe: false, blockedMe: true });
+    let friends;
+    store.friends.subscribe('alice', value => { friends = value; });
+    await flush();
+    expect(friends).toEqual([]);
+
+    expect(await store.requests.findPending('bob', 'carol')).toHaveLength(1);
+    const history = await store.requests.fetchHistory('alice');
+    expect(Object.fromEntries(history.map(request => [request.id, request.status]))).toEqual({ mine: 'cancelled', theirs: 'declined' });
+  });
+});
+
+describe('polls', () => {
+  const pollMessage = (poll = {}) => ({
+    id: 'p1',
+    type: 'poll',
+    senderId: 'alice',
+    content: 'Lunch?',
+    timestamp: at(1000),
+    poll: {
+      options: [{ id: 'opt0', text: 'Pizza' }, { id: 'opt1', text: 'Salad' }],
+      multiple: false,
+      anonymous: false,
+      closesAtMs: null,
+      closed: false,
+      counts: {},
+      voterCount: 0,
+      ...poll,
+    },
+  });
+
+  it('moves a single-choice vote and keeps the tallies in step', async () => {
+    const store = createMemoryDataStore({ groups: { g1: channel() }, messages: { g1: [pollMessage()] } });
+
+    await store.polls.vote('g1', 'p1', 'bob', 'opt0');
+    await store.polls.vote('g1', 'p1', 'bob', 'opt1');
+    await store.polls.vote('g1', 'p1', 'carol', 'opt1');
+
+    const { poll } = await store.messages.get('g1', 'p1');
+    expect(poll.counts).toEqual({ opt0: 0, opt1: 2 });
+    expect(poll.voterCount).toBe(2);
+
+    let votes;
+    store.polls.subscribeVotes('g1', 'p1', 'bob', value => { votes = value; });
+    await flush();
+    expect(votes).toEqual({ bob: ['opt1'] });
+
+    await store.polls.vote('g1', 'p1', 'bob', 'opt1');
+    await flush();
+    expect(votes).toEqual({});
+    expect((await store.messages.get('g1', 'p1')).poll.voterCount).toBe(1);
+  });
+
+  it('refuses votes on closed and deleted polls', async () => {
+    const store = createMemoryDataStore({
+      groups: { g1: channel() },
+      messages: { g1: [pollMessage({ closed: true }), { ...pollMessage(), id: 'p2', deleted: true }] },
+    });
+
+    await expect(store.polls.vote('g1', 'p1', 'bob', 'opt0')).rejects.toMatchObject({ code: 'poll/closed' });
+    await expect(store.polls.vote('g1', 'p2', 'bob', 'opt0')).rejects.toMatchObject({ code: 'poll/deleted' });
+
+    await store.polls.setClosed('g1', 'p1', false);
+    await store.polls.vote('g1', 'p1', 'bob', 'opt0');
+    expect((await store.messages.get('g1', 'p1')).poll.counts).toEqual({ opt0: 1 });
+  });
+});
+
+describe('moderation', () => {
+  it('resolves the reports an action answers and logs it', async () => {
+    const message = { id: 'm1', type: 'text', senderId: 'bob', senderUsername: 'bob', content: 'spam', timestamp: at(1000) };
+    const store = createMemoryDataStore({ groups: { g1: channel() }, messages: { g1: [message] } });
+    const actor = { uid: 'alice', username: 'alice' };
+
+    await store.moderation.report('g1', message, { uid: 'carol', username: 'carol' }, 'Spam', '');
+    let reports;
+    store.moderation.subscribeOpenReports('g1', value => { reports = value; });
+    await flush();
+    expect(reports).toMatchObject([{ id: 'm1_carol', messageId: 'm1', reporterId: 'carol', status: 'open' }]);
+
+    await store.moderation.setHidden('g1', 'm1', actor, true, reports);
+    let log;
+    store.moderation.subscribeLog('g1', value => { log = value; });
+    await flush();
+
+    expect(reports).toEqual([]);
+    expect(log).toMatchObject([{ action: 'hide', messageId: 'm1', actorId: 'alice', reportCount: 1 }]);
+    expect(await store.messages.get('g1', 'm1')).toMatchObject({ hidden: true, hiddenBy: 'alice', content: '' });
+    expect(await store.moderation.fetchHiddenContent('g1')).toEqual({ m1: { content: 'spam' } });
+
+    await store.moderation.setHidden('g1', 'm1', actor, false, []);
+    expect(await store.messages.get('g1', 'm1')).toMatchObject({ content: 'spam' });
+    expect(await store.messages.get('g1', 'm1')).not.toHaveProperty('hidden');
+    expect(await store.moderation.fetchHiddenContent('g1')).toEqual({});
+  });
+
+  it('bans a member out of the group', async () => {
+    const store = createMemoryDataStore({ groups: { g1: channel({ roles: { bob: 'admin' }, mutedMembers: { bob: { untilMs: null } } }) } });
+
+    await store.moderation.ban('g1', { uid: 'alice', username: 'alice' }, { uid: 'bob', username: 'bob' });
+
+    let groups;
+    store.groups.subscribeForMember('alice', value => { groups = value; });
+    await flush();
+    expect(groups[0]).toMatchObject({ members: ['alice', 'carol'], bannedMembers: ['bob'], roles: {}, mutedMembers: {} });
+    await expect(store.groups.invite('g1', 'alice', { uid: 'bob', username: 'bob' })).rejects.toThrow();
+  });
+});
+
+describe('scheduled messages', () => {
+  it('only changes pending entries', async () => {
+    const store = createMemoryDataStore({ groups: { g1: channel() } });
+    const message = { senderId: 'alice', senderUsername: 'alice', content: 'later' };
+
+    const { id } = await store.scheduled.create('g1', message, Date.now() + 60 * 60 * 1000, 'UTC');
+    let entries;
+    store.scheduled.subscribe('g1', 'alice', value => { entries = value; });
+    await flush();
+    expect(entries).toMatchObject([{ id, status: 'pending', snippet: 'later', timeZone: 'UTC' }]);
+
+    await store.scheduled.cancel('g1', id);
+    await flush();
+    expect(entries).toEqual([]);
+    await expect(store.scheduled.cancel('g1', id)).rejects.toMatchObject({ code: 'schedule/locked' });
+  });
+});
+
+describe('imports', () => {
+  const history = [{ id: 'i1', type: 'text', senderId: 'IMPORTED', senderUsername: 'carol', content: 'old news', timestamp: at(1000) }];
+
+  it('opens the group up once the history is in', async () => {
+    const store = createMemoryDataStore();
+    const groupId = await store.groups.create('general (imported)', 'alice', { importing: true });
+
+    await store.messages.importHistory(groupId, history);
+    await store.messages.finishImport(groupId, 'alice imported 1 messages.');
+
+    let groups;
+    store.groups.subscribeForMember('alice', value => { groups = value; });
+    await flush();
+    expect(groups[0]).not.toHaveProperty('importing');
+    expect((await store.messages.fetchPage(groupId, null, 10)).messages.map(m => m.content)).toEqual(['old news', 'alice imported 1 messages.']);
+  });
+
+  it('removes a failed import', async () => {
+    const store = createMemoryDataStore();
+    const groupId = await store.groups.create('general (imported)', 'alice', { importing: true });
+
+    await store.messages.importHistory(groupId, history);
+    await store.messages.discardImport(groupId, history);
+
+    let groups;
+    store.groups.subscribeForMember('alice', value => { groups = value; });
+    await flush();
+    expect(groups).toEqual([]);
+    expect(await store.messages.get(groupId, 'i1')).toBeNull();
+  });
+});
+
+describe('readState', () => {
+  it('counts unread messages, leaving out excluded senders', async () => {
+    const messages = [
+      ...seedMessages(3),
+      { id: 'b1', type: 'text', senderId: 'bob', content: 'hey', timestamp: at(2000) },
+    ];
+    const store = createMemoryDataStore({ groups: { g1: channel() }, messages: { g1: messages } });
+
+    await store.readState.markRead('g1', 'carol', messages[0]);
+    const { lastReadAt } = await store.readState.get('g1', 'carol');
+
+    expect(await store.readState.countUnread('g1', lastReadAt)).toBe(3);
+    expect(await store.readState.countUnread('g1', lastReadAt, ['bob'])).toBe(2);
+    expect(await store.readState.countUnread('g1', null)).toBe(4);
+  });
+});
@@ -0,0 +1,94 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { createMemoryDataStore, DataStoreContext, MessageItem, MentionsView, resolveMentions } from '../app.jsx';
+
+afterEach(cleanup);
+
+const recently = () => Timestamp.fromMillis(Date.now());
+
+const memberIds = ['alice', 'bob', 'carol'];
+const memberProfiles = {
+  alice: { username: 'Alice', status: 'online', lastSeen: recently() },
+  bob: { username: 'bob', status: 'online', lastSeen: recently() },
+  carol: { username: 'carol.k', status: 'offline' },
+};
+
+describe('resolveMentions', () => {
+  it('matches usernames case-insensitively and never notifies the sender', () => {
+    expect(resolveMentions('hey @alice and @Bob, also @alice', memberIds, memberProfiles, 'bob')).toEqual({
+      mentions: ['alice'],
+      groupMention: null,
+    });
+  });
+
+  it('ignores unknown names, email addresses and anything inside code', () => {
+    const content = 'mail me at dave@example.com, ask @nobody, or run `@carol.k` and\n```\n@bob\n```';
+    expect(resolveMentions(content, memberIds, memberProfiles, 'alice')).toEqual({ mentions: [], groupMention: null });
+  });
+
+  it('notifies everyone for @channel and only members who are around for @here', () => {
+    expect(resolveMentions('@here standup', memberIds, memberProfiles, 'alice')).toEqual({
+      mentions: ['bob'],
+      groupMention: 'here',
+    });
+    expect(resolveMentions('@here @channel standup', memberIds, memberProfiles, 'alice')).toEqual({
+      mentions: ['bob', 'carol'],
+      groupMention: 'channel',
+    });
+  });
+
+  it('handles names with dots and trailing punctuation', () => {
+    expect(resolveMentions('thanks @carol.k.', memberIds, memberProfiles, 'alice').mentions).toEqual(['carol']);
+  });
+});
+
+describe('mention highlighting', () => {
+  it('highlights members, with our own name stronger than others', () => {
+    render(
+      <MessageItem
+        msg={{ id: 'm1', type: 'text', senderId: 'bob', senderUsername: 'bob', content: 'cc @alice @carol.k @nobody', mentions: ['alice'], timestamp: recently() }}
+        currentUserId="alice"
+        memberProfiles={memberProfiles}
+        readOnly
+      />
+    );
+
+    expect(screen.getByText('@alice').className).toContain('bg-yellow-500/40');
+    expect(screen.getByText('@carol.k').className).toContain('bg-indigo-400/30');
+    expect(screen.queryByText('@nobody')).toBeNull(); // Left as plain text
+  });
+});
+
+// DM labels come from the participants' profiles in the store
+const renderWithStore = (ui) => render(<DataStoreContext.Provider value={createMemoryDataStore()}>{ui}</DataStoreContext.Provider>);
+
+describe('MentionsView', () => {
+  const groups = [
+    { id: 'g1', type: 'group', name: 'general' },
+    { id: 'dm1', type: 'dm', members: ['alice', 'carol'], memberUsernames: { alice: 'alice', carol: 'carol' } },
+  ];
+  const mentions = [
+    { id: 'x1', groupId: 'g1', messageId: 'm1', senderUsername: 'bob', snippet: 'ping @alice', read: false, timestamp: recently() },
+    { id: 'x2', groupId: 'dm1', messageId: 'm2', senderUsername: 'carol', snippet: 'hi', groupMention: 'here', read: true, timestamp: recently() },
+    { id: 'x3', groupId: 'gone', messageId: 'm3', senderUsername: 'dave', snippet: 'bye', read: true, timestamp: recently() },
+  ];
+
+  it('says where each mention came from and opens it', () => {
+    const onOpenMention = vi.fn();
+    renderWithStore(<MentionsView mentions={mentions} groups={groups} currentUserId="alice" currentUsername="alice" onOpenMention={onOpenMention} />);
+
+    expect(screen.getByText(/mentioned alice in #general/)).toBeTruthy();
+    expect(screen.getByText(/mentioned @here in carol/)).toBeTruthy();
+    expect(screen.getByText(/in a conversation you left/)).toBeTruthy();
+
+    fireEvent.click(screen.getByText('ping @alice'));
+    expect(onOpenMention).toHaveBeenCalledWith(mentions[0]);
+  });
+
+  it('has an empty state', () => {
+    renderWithStore(<MentionsView mentions={[]} groups={groups} currentUserId="alice" currentUsername="alice" onOpenMention={vi.fn()} />);
+    expect(screen.getByText('Nobody has mentioned you yet.')).toBeTruthy();
+  });
+});
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { isMemberMuted, normalizeBlockedWords, findBlockedWord, toHiddenContent } from '../app.jsx';
+
+describe('word filter', () => {
+  it('normalizes the blocked word list', () => {
+    expect(normalizeBlockedWords('Spam, scam\n\nspam \n Buy now')).toEqual(['spam', 'scam', 'buy now']);
+  });
+
+  it('matches whole words case-insensitively', () => {
+    const blockedWords = ['spam', 'buy now'];
+    expect(findBlockedWord('No SPAM please', blockedWords)).toBe('spam');
+    expect(findBlockedWord('Buy now!', blockedWords)).toBe('buy now');
+    expect(findBlockedWord('spammy but allowed', blockedWords)).toBeNull();
+    expect(findBlockedWord('anything', [])).toBeNull();
+  });
+});
+
+describe('isMemberMuted', () => {
+  it('mutes until the expiry, or indefinitely without one', () => {
+    const group = { mutedMembers: { bob: { untilMs: 2000 }, carol: { untilMs: null } } };
+    expect(isMemberMuted(group, 'bob', 1000)).toBe(true);
+    expect(isMemberMuted(group, 'bob', 3000)).toBe(false);
+    expect(isMemberMuted(group, 'carol', 3000)).toBe(true);
+    expect(isMemberMuted(group, 'alice', 1000)).toBe(false);
+  });
+});
+
+describe('toHiddenContent', () => {
+  it('keeps everything a placeholder leaves out of the message doc', () => {
+    const attachment = { name: 'notes.pdf', url: 'https://files.test/notes.pdf' };
+    const poll = { options: [{ id: 'opt0', text: 'Yes' }], counts: {} };
+    expect(toHiddenContent({ content: 'hi', attachment, reactions: {} })).toEqual({ content: 'hi', attachment });
+    expect(toHiddenContent({ type: 'poll', content: 'Lunch?', poll })).toEqual({ content: 'Lunch?', poll });
+    expect(toHiddenContent({ type: 'gif' })).toEqual({ content: '' });
+  });
+});
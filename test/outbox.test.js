@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createMemoryDataStore, deliverOutboxEntry, getOutboxBackoff, toFailedAttempt, toRestoredEntry, withTimeout } from '../app.jsx';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const entry = {
+  id: 'm1',
+  uid: 'alice',
+  groupId: 'g1',
+  message: { type: 'text', content: 'Hello' },
+  status: 'sending',
+  attempts: 0,
+  nextAttemptAt: 0,
+  createdAt: 1000,
+};
+
+describe('getOutboxBackoff', () => {
+  it('doubles from two seconds up to a minute', () => {
+    expect([1, 2, 3, 4].map(getOutboxBackoff)).toEqual([2000, 4000, 8000, 16000]);
+    expect(getOutboxBackoff(10)).toBe(60 * 1000);
+  });
+});
+
+describe('toFailedAttempt', () => {
+  it('backs off and remembers that the write may have landed', () => {
+    const failed = toFailedAttempt(entry, new Error('Timed out waiting for the server.'), 5000);
+    expect(failed).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      mayHaveLanded: true,
+      nextAttemptAt: 7000,
+      lastError: 'Timed out waiting for the server.',
+    });
+  });
+
+  it('gives up after five attempts, or at once when the write is refused', () => {
+    expect(toFailedAttempt({ ...entry, attempts: 3 }, new Error('offline'), 0).status).toBe('pending');
+    expect(toFailedAttempt({ ...entry, attempts: 4 }, new Error('offline'), 0).status).toBe('failed');
+
+    const denied = Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+    expect(toFailedAttempt(entry, denied, 0).status).toBe('failed');
+  });
+});
+
+describe('toRestoredEntry', () => {
+  it('retries an entry left mid-send right away, checking the server first', () => {
+    expect(toRestoredEntry({ ...entry, nextAttemptAt: 9000 })).toMatchObject({ status: 'pending', mayHaveLanded: true, nextAttemptAt: 0 });
+  });
+
+  it('leaves pending and failed entries as they were', () => {
+    const pending = { ...entry, status: 'pending', nextAttemptAt: 9000 };
+    const failed = { ...entry, status: 'failed', attempts: 5 };
+    expect(toRestoredEntry(pending)).toBe(pending);
+    expect(toRestoredEntry(failed)).toBe(failed);
+  });
+});
+
+describe('deliverOutboxEntry', () => {
+  const store = () => createMemoryDataStore({ groups: { g1: { name: 'general', type: 'group', ownerId: 'alice', members: ['alice'] } } });
+
+  it('sends the message under the id it was queued with', async () => {
+    const memoryStore = store();
+    await deliverOutboxEntry(memoryStore, entry);
+    expect(await memoryStore.messages.get('g1', 'm1')).toMatchObject({ content: 'Hello', type: 'text' });
+  });
+
+  it("doesn't send again when an earlier attempt already landed", async () => {
+    const memoryStore = store();
+    await deliverOutboxEntry(memoryStore, entry);
+    const send = vi.spyOn(memoryStore.messages, 'send');
+
+    await deliverOutboxEntry(memoryStore, { ...entry, mayHaveLanded: true });
+    expect(send).not.toHaveBeenCalled();
+
+    await deliverOutboxEntry(memoryStore, { ...entry, id: 'm2', mayHaveLanded: true });
+    expect(send).toHaveBeenCalledWith('g1', entry.message, 'm2');
+  });
+});
+
+describe('withTimeout', () => {
+  it('rejects when the server takes too long, since offline writes never reject on their own', async () => {
+    vi.useFakeTimers();
+    const pending = withTimeout(new Promise(() => {}), 10000);
+    vi.advanceTimersByTime(10000);
+    await expect(pending).rejects.toThrow('Timed out waiting for the server.');
+  });
+
+  it('passes through a prompt result', async () => {
+    await expect(withTimeout(Promise.resolve('ok'), 10000)).resolves.toBe('ok');
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { getEffectiveStatus, formatLastSeen, getActiveTypists } from '../app.jsx';
+
+const NOW = Date.UTC(2024, 0, 1, 12);
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(NOW);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+const secondsAgo = (seconds) => Timestamp.fromMillis(NOW - seconds * 1000);
+
+describe('getEffectiveStatus', () => {
+  it('trusts a recent heartbeat', () => {
+    expect(getEffectiveStatus({ status: 'online', lastSeen: secondsAgo(30) })).toBe('online');
+    expect(getEffectiveStatus({ status: 'idle', lastSeen: secondsAgo(170) })).toBe('idle');
+  });
+
+  it('treats a stale heartbeat or a missing profile as offline', () => {
+    expect(getEffectiveStatus({ status: 'online', lastSeen: secondsAgo(181) })).toBe('offline');
+    expect(getEffectiveStatus({ status: 'online' })).toBe('offline');
+    expect(getEffectiveStatus(undefined)).toBe('offline');
+  });
+});
+
+describe('formatLastSeen', () => {
+  it('describes live users by status and others by when they were last seen', () => {
+    expect(formatLastSeen({ status: 'online', lastSeen: secondsAgo(10) })).toBe('Online');
+    expect(formatLastSeen({ status: 'idle', lastSeen: secondsAgo(10) })).toBe('Idle');
+    expect(formatLastSeen({ status: 'offline', lastSeen: secondsAgo(600) })).toBe(`Last seen ${secondsAgo(600).toDate().toLocaleString()}`);
+    expect(formatLastSeen({ status: 'offline' })).toBe('Offline');
+  });
+});
+
+describe('getActiveTypists', () => {
+  it('lists other members whose typing marker has not expired', () => {
+    const typingDocs = [
+      { uid: 'alice', username: 'alice', expiresAt: Timestamp.fromMillis(NOW + 5000) },
+      { uid: 'bob', username: 'bob', expiresAt: Timestamp.fromMillis(NOW + 5000) },
+      { uid: 'carol', username: 'carol', expiresAt: Timestamp.fromMillis(NOW - 1) },
+    ];
+    expect(getActiveTypists(typingDocs, 'alice', NOW).map(t => t.uid)).toEqual(['bob']);
+    expect(getActiveTypists(typingDocs, 'alice', NOW + 5000)).toEqual([]);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { getDisplayName, getProfileSummary, getUsernameCopies } from '../app.jsx';
+
+describe('getDisplayName', () => {
+  it('prefers the display name, then the live username, then the stored copy', () => {
+    expect(getDisplayName({ displayName: 'Alice L.', username: 'alice' }, 'old-alice')).toBe('Alice L.');
+    expect(getDisplayName({ username: 'alice' }, 'old-alice')).toBe('alice');
+    expect(getDisplayName(undefined, 'old-alice')).toBe('old-alice');
+    expect(getDisplayName(null)).toBe('Anonymous User');
+  });
+});
+
+describe('getProfileSummary', () => {
+  it('joins pronouns and local time, skipping what the profile lacks', () => {
+    expect(getProfileSummary(null)).toBe('');
+    expect(getProfileSummary({ pronouns: 'she/her' })).toBe('she/her');
+    expect(getProfileSummary({ pronouns: 'they/them', timeZone: 'UTC' })).toMatch(/^they\/them · \d{1,2}:\d{2}.* local time$/);
+  });
+
+  it('leaves out a time zone the browser does not know', () => {
+    expect(getProfileSummary({ pronouns: 'he/him', timeZone: 'Mars/Olympus_Mons' })).toBe('he/him');
+  });
+});
+
+describe('getUsernameCopies', () => {
+  it('renames the friend entries, pending requests and DM name maps other users read', () => {
+    const copies = getUsernameCopies('alice', 'alicia', {
+      friendUids: ['bob'],
+      pendingRequests: [
+        { id: 'r1', senderId: 'alice', receiverId: 'carol' },
+        { id: 'r2', senderId: 'dave', receiverId: 'alice' },
+      ],
+      dmIds: ['dm_alice_bob'],
+    });
+
+    expect(copies).toEqual([
+      { kind: 'friend', id: ['bob', 'alice'], field: ['username'], value: 'alicia' },
+      { kind: 'request', id: 'r1', field: ['senderUsername'], value: 'alicia' },
+      { kind: 'request', id: 'r2', field: ['receiverUsername'], value: 'alicia' },
+      { kind: 'group', id: 'dm_alice_bob', field: ['memberUsernames', 'alice'], value: 'alicia' },
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, cleanup } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import { MessageItem, setUnfurlProvider, createStickerPackProvider, pushRecentGif } from '../app.jsx';
+
+afterEach(cleanup);
+
+const renderMessage = (content) => render(
+  <MessageItem
+    msg={{ id: 'm1', type: 'text', senderId: 'bob', senderUsername: 'bob', content, timestamp: Timestamp.fromMillis(1000) }}
+    currentUserId="alice"
+    readOnly
+  />
+);
+
+describe('setUnfurlProvider', () => {
+  it('builds link previews from the configured provider', async () => {
+    const unfurl = vi.fn(async (url) => ({ url, title: 'Example Domain', siteName: 'example.com', description: 'An example page', image: null }));
+    setUnfurlProvider({ unfurl });
+
+    renderMessage('see https://example.com/page');
+
+    expect(await screen.findByText('Example Domain')).toBeTruthy();
+    expect(screen.getByText('An example page')).toBeTruthy();
+    expect(unfurl).toHaveBeenCalledWith('https://example.com/page');
+  });
+});
+
+describe('message Markdown', () => {
+  it('renders formatting as elements and never as markup', () => {
+    const { container } = renderMessage('**bold** and `<img src=x onerror=alert(1)>`');
+
+    expect(container.querySelector('strong').textContent).toBe('bold');
+    expect(container.querySelector('code').textContent).toBe('<img src=x onerror=alert(1)>');
+    expect(container.querySelector('img')).toBeNull();
+  });
+
+  it('only links safe URL schemes', () => {
+    setUnfurlProvider({ unfurl: vi.fn(async () => null) });
+    const { container } = renderMessage('[docs](https://example.com/docs) [bad](javascript:alert(1))');
+
+    const links = [...container.querySelectorAll('a')];
+    expect(links.map(link => link.getAttribute('href'))).toEqual(['https://example.com/docs']);
+    expect(container.textContent).toContain('[bad](javascript:alert(1))');
+  });
+});
+
+describe('createStickerPackProvider', () => {
+  const sticker = (id, description) => ({ id, url: `https://stickers.test/${id}.png`, previewUrl: null, description });
+  const pack = {
+    categories: [
+      { name: 'Animals', stickers: [sticker('cat', 'Grumpy cat'), sticker('dog', 'dog')] },
+      { name: 'Food', stickers: [sticker('taco', 'taco cat')] },
+    ],
+  };
+
+  it('serves categories, search and browsing from the pack manifest', async () => {
+    const loadPack = vi.fn(async () => pack);
+    const provider = createStickerPackProvider(loadPack, { id: 'test-pack', label: 'Test Pack' });
+
+    expect(provider).toMatchObject({ id: 'test-pack', label: 'Test Pack' });
+    expect(await provider.getCategories()).toEqual(['Animals', 'Food']);
+    expect((await provider.search('CAT')).map(s => s.id)).toEqual(['cat', 'taco']);
+    expect((await provider.byCategory('Food')).map(s => s.id)).toEqual(['taco']);
+    expect(await provider.byCategory('Missing')).toEqual([]);
+    expect(await provider.trending()).toHaveLength(3);
+    // The manifest is loaded once
+    expect(loadPack).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries loading the pack after a failure', async () => {
+    const loadPack = vi.fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValueOnce(pack);
+    const provider = createStickerPackProvider(loadPack);
+
+    await expect(provider.getCategories()).rejects.toThrow('offline');
+    expect(await provider.getCategories()).toEqual(['Animals', 'Food']);
+  });
+});
+
+describe('pushRecentGif', () => {
+  it('moves a reused GIF to the front and caps the list', () => {
+    const gif = (id) => ({ id, url: `https://gifs.test/${id}.gif` });
+    expect(pushRecentGif([gif('a'), gif('b'), gif('c')], gif('c'), 3).map(g => g.id)).toEqual(['c', 'a', 'b']);
+    expect(pushRecentGif([gif('a'), gif('b')], gif('d'), 2).map(g => g.id)).toEqual(['d', 'a']);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { Timestamp } from 'firebase/firestore';
+import { formatUnreadCount, getFirstUnreadMessageId, getReadReceiptUids } from '../app.jsx';
+
+const at = (millis) => Timestamp.fromMillis(millis);
+
+const messages = [
+  { id: 'm1', senderId: 'bob', timestamp: at(1000) },
+  { id: 'm2', senderId: 'alice', timestamp: at(2000) },
+  { id: 'm3', senderId: 'bob', timestamp: at(3000) },
+  { id: 'm4', senderId: 'bob', timestamp: null }, // Pending server timestamp
+];
+
+describe('getFirstUnreadMessageId', () => {
+  it('marks the first message from someone else after the read marker', () => {
+    expect(getFirstUnreadMessageId(messages, at(1000), 'alice')).toBe('m3');
+    expect(getFirstUnreadMessageId(messages, at(500), 'alice')).toBe('m1');
+  });
+
+  it('skips our own messages and shows nothing when caught up or never opened', () => {
+    expect(getFirstUnreadMessageId(messages, at(2500), 'bob')).toBeNull();
+    expect(getFirstUnreadMessageId(messages, at(3000), 'alice')).toBeNull();
+    expect(getFirstUnreadMessageId(messages, null, 'alice')).toBeNull();
+  });
+});
+
+describe('getReadReceiptUids', () => {
+  const readStates = {
+    alice: { uid: 'alice', lastReadAt: at(3000) },
+    bob: { uid: 'bob', lastReadAt: at(3000) },
+    carol: { uid: 'carol', lastReadAt: at(2000) },
+  };
+
+  it("lists members who've read up to the message, except its sender", () => {
+    expect(getReadReceiptUids(readStates, messages[2])).toEqual(['alice']);
+    expect(getReadReceiptUids(readStates, messages[1])).toEqual(['bob', 'carol']);
+  });
+
+  it('has no receipts for a message still waiting on its timestamp', () => {
+    expect(getReadReceiptUids(readStates, messages[3])).toEqual([]);
+    expect(getReadReceiptUids(readStates, undefined)).toEqual([]);
+  });
+});
+
+describe('formatUnreadCount', () => {
+  it('caps the badge at 99+', () => {
+    expect(formatUnreadCount(7)).toBe('7');
+    expect(formatUnreadCount(99)).toBe('99');
+    expect(formatUnreadCount(100)).toBe('99+');
+  });
+});
@@ -0,0 +1,609 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import {
+  arrayRemove,
+  arrayUnion,
+  collection,
+  deleteDoc,
+  deleteField,
+  doc,
+  FieldPath,
+  getDoc,
+  getDocs,
+  increment,
+  limit,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  Timestamp,
+  updateDoc,
+  writeBatch,
+} from 'firebase/firestore';
+
+const appId = 'test-app';
+const userPath = (uid, rest) => `artifacts/${appId}/users/${uid}/${rest}`;
+const dataPath = (rest) => `artifacts/${appId}/public/data/${rest}`;
+const groupPath = (groupId, rest = '') => dataPath(`groups/${groupId}${rest ? `/${rest}` : ''}`);
+const messagePath = (messageId, rest = '') => groupPath('g1', `messages/${messageId}${rest ? `/${rest}` : ''}`);
+
+let testEnv;
+
+const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+const seed = (docs) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const db = context.firestore();
+  await Promise.all(Object.entries(docs).map(([path, data]) => setDoc(doc(db, path), data)));
+});
+
+// An owner, an admin, two members and a muted member; eve is an outsider
+const channel = {
+  name: 'general',
+  type: 'group',
+  ownerId: 'owner',
+  members: ['owner', 'admin', 'alice', 'bob', 'muted'],
+  roles: { admin: 'admin' },
+  mutedMembers: { muted: { untilMs: null } },
+};
+
+const sent = (senderId, content = 'hello', extra = {}) => ({ senderId, senderUsername: senderId, content, timestamp: Timestamp.now(), ...extra });
+
+const poll = (overrides = {}) => ({
+  options: [{ id: 'opt0', text: 'Pizza' }, { id: 'opt1', text: 'Tacos' }],
+  multiple: false,
+  anonymous: false,
+  closesAtMs: null,
+  closed: false,
+  counts: {},
+  voterCount: 0,
+  ...overrides,
+});
+
+// sendGroupMessage / toSystemMessage
+const newMessage = (senderId, content = 'hello') => ({ senderId, senderUsername: senderId, content, timestamp: serverTimestamp() });
+const notice = (content) => ({ senderId: 'SYSTEM', senderUsername: 'System', content, timestamp: serverTimestamp() });
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-prochat',
+    firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+afterAll(() => testEnv?.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seed({
+    [groupPath('g1')]: channel,
+    [messagePath('m1')]: sent('alice'),
+    [messagePath('m2')]: sent('muted', 'before the mute'),
+    [messagePath('p1')]: sent('alice', 'Lunch?', { poll: poll() }),
+  });
+});
+
+describe('messages', () => {
+  it('lets members post at the server time', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), messagePath('new')), newMessage('alice')));
+  });
+
+  it('refuses outsiders, muted members, other senders and client timestamps', async () => {
+    await assertFails(setDoc(doc(as('eve'), messagePath('new')), newMessage('eve')));
+    await assertFails(setDoc(doc(as('muted'), messagePath('new')), newMessage('muted')));
+    await assertFails(setDoc(doc(as('alice'), messagePath('new')), newMessage('bob')));
+    await assertFails(setDoc(doc(as('alice'), messagePath('new')), { ...newMessage('alice'), timestamp: Timestamp.now() }));
+  });
+
+  it('only takes SYSTEM notices for changes the poster could have made', async () => {
+    await assertSucceeds(setDoc(doc(as('admin'), messagePath('n1')), notice('admin added carol to the group.')));
+    await assertFails(setDoc(doc(as('alice'), messagePath('n2')), notice('alice added carol to the group.')));
+    await assertFails(setDoc(doc(as('admin'), messagePath('n3')), notice('Maintenance tonight, sign in again after.')));
+    await assertFails(setDoc(doc(as('muted'), messagePath('n4')), notice('Free pizza in the lobby!')));
+    await assertFails(setDoc(doc(as('eve'), messagePath('n5')), notice('eve added eve to the group.')));
+  });
+
+  it('lets a muted member post the "left" notice only while leaving', async () => {
+    await assertFails(setDoc(doc(as('muted'), messagePath('n1')), notice('muted left the group.')));
+
+    const db = as('muted');
+    const batch = writeBatch(db);
+    batch.set(doc(db, messagePath('n1')), notice('muted left the group.'));
+    batch.update(doc(db, groupPath('g1')), { members: arrayRemove('muted'), lastMessageAt: serverTimestamp() });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('lets muted senders delete but not edit', async () => {
+    await assertFails(updateDoc(doc(as('muted'), messagePath('m2')), { content: 'sneaky', editedAt: serverTimestamp(), editCount: 1 }));
+    await assertSucceeds(updateDoc(doc(as('muted'), messagePath('m2')), {
+      deleted: true, deletedBy: 'muted', deletedAt: serverTimestamp(), content: '',
+    }));
+  });
+
+  it('keeps others from editing', async () => {
+    await assertSucceeds(updateDoc(doc(as('alice'), messagePath('m1')), { content: 'edited', editedAt: serverTimestamp(), editCount: 1 }));
+    await assertFails(updateDoc(doc(as('bob'), messagePath('m1')), { content: 'not yours' }));
+    await assertFails(updateDoc(doc(as('admin'), messagePath('m1')), { content: 'rewritten by a moderator' }));
+  });
+
+  it('lets an outbox retry move a delivered message only to the server time', async () => {
+    await assertSucceeds(updateDoc(doc(as('alice'), messagePath('m1')), { timestamp: serverTimestamp() }));
+    await assertFails(updateDoc(doc(as('alice'), messagePath('m1')), { timestamp: Timestamp.fromMillis(0) }));
+  });
+});
+
+describe('hiding', () => {
+  const hide = (db, content = 'hello') => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, groupPath('g1', 'hiddenContent/m1')), { content, hiddenBy: 'admin', hiddenAt: serverTimestamp() });
+    batch.update(doc(db, messagePath('m1')), { hidden: true, hiddenBy: 'admin', hiddenAt: serverTimestamp(), content: '' });
+    return batch.commit();
+  };
+
+  const unhide = (db, content = 'hello') => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, messagePath('m1')), { hidden: deleteField(), hiddenBy: deleteField(), hiddenAt: deleteField(), content });
+    batch.delete(doc(db, groupPath('g1', 'hiddenContent/m1')));
+    return batch.commit();
+  };
+
+  it('moves the content into hiddenContent and back', async () => {
+    await assertSucceeds(hide(as('admin')));
+    await assertFails(unhide(as('admin'), 'something else'));
+    await assertSucceeds(unhide(as('admin')));
+  });
+
+  it('refuses hiding that leaves the content on the message or changes it', async () => {
+    await assertFails(updateDoc(doc(as('admin'), messagePath('m1')), { hidden: true, hiddenBy: 'admin', hiddenAt: serverTimestamp() }));
+    await assertFails(hide(as('admin'), 'not what they said'));
+    await assertFails(hide(as('bob')));
+  });
+
+  it('takes a poll into hiddenContent with the content and puts it back', async () => {
+    const db = as('admin');
+    const hidePoll = writeBatch(db);
+    hidePoll.set(doc(db, groupPath('g1', 'hiddenContent/p1')), { content: 'Lunch?', poll: poll(), hiddenBy: 'admin', hiddenAt: serverTimestamp() });
+    hidePoll.update(doc(db, messagePath('p1')), { hidden: true, hiddenBy: 'admin', hiddenAt: serverTimestamp(), content: '', poll: deleteField() });
+    await assertSucceeds(hidePoll.commit());
+
+    const unhidePoll = writeBatch(db);
+    unhidePoll.update(doc(db, messagePath('p1')), { hidden: deleteField(), hiddenBy: deleteField(), hiddenAt: deleteField(), content: 'Lunch?' });
+    unhidePoll.delete(doc(db, groupPath('g1', 'hiddenContent/p1')));
+    await assertFails(unhidePoll.commit());
+
+    const restorePoll = writeBatch(db);
+    restorePoll.update(doc(db, messagePath('p1')), { hidden: deleteField(), hiddenBy: deleteField(), hiddenAt: deleteField(), content: 'Lunch?', poll: poll() });
+    restorePoll.delete(doc(db, groupPath('g1', 'hiddenContent/p1')));
+    await assertSucceeds(restorePoll.commit());
+  });
+
+  it('refuses hiding that leaves the poll on the message', async () => {
+    const db = as('admin');
+    const batch = writeBatch(db);
+    batch.set(doc(db, groupPath('g1', 'hiddenContent/p1')), { content: 'Lunch?', poll: poll(), hiddenBy: 'admin', hiddenAt: serverTimestamp() });
+    batch.update(doc(db, messagePath('p1')), { hidden: true, hiddenBy: 'admin', hiddenAt: serverTimestamp(), content: '' });
+    await assertFails(batch.commit());
+  });
+
+  it('shows hidden content to managers only', async () => {
+    await hide(as('admin'));
+    await assertSucceeds(getDoc(doc(as('owner'), groupPath('g1', 'hiddenContent/m1'))));
+    await assertFails(getDoc(doc(as('alice'), groupPath('g1', 'hiddenContent/m1'))));
+  });
+});
+
+describe('reactions', () => {
+  const react = (uid, emoji, change) => updateDoc(doc(as(uid), messagePath('m1')), new FieldPath('reactions', emoji), change);
+
+  it('lets members add and remove their own reaction', async () => {
+    await assertSucceeds(react('bob', '👍', arrayUnion('bob')));
+    await assertSucceeds(react('bob', '👍', arrayRemove('bob')));
+  });
+
+  it("refuses touching someone else's reaction or an unknown emoji", async () => {
+    await seed({ [messagePath('m1')]: sent('alice', 'hello', { reactions: { '👍': ['bob'] } }) });
+    await assertFails(react('alice', '👍', arrayRemove('bob')));
+    await assertFails(react('alice', '🎉', arrayUnion('bob')));
+    await assertFails(react('alice', '💩', arrayUnion('alice')));
+  });
+});
+
+describe('votes', () => {
+  // castPollVote for a first vote
+  const vote = (uid, optionIds, tally = { 'poll.counts.opt0': increment(1), 'poll.voterCount': increment(1) }) => {
+    const db = as(uid);
+    const batch = writeBatch(db);
+    if (tally) batch.update(doc(db, messagePath('p1')), tally);
+    if (optionIds) batch.set(doc(db, messagePath('p1', `votes/${uid}`)), { uid, optionIds, votedAt: serverTimestamp() });
+    return batch.commit();
+  };
+
+  it('moves the tallies with the voter\'s own vote', async () => {
+    await assertSucceeds(vote('bob', ['opt0']));
+  });
+
+  it('refuses tallies that don\'t match a vote', async () => {
+    await assertFails(vote('bob', null));
+    await assertFails(vote('bob', ['opt0'], null));
+    await assertFails(vote('bob', ['opt0'], { 'poll.counts.opt0': increment(5), 'poll.voterCount': increment(1) }));
+    await assertFails(vote('bob', ['opt0'], { 'poll.counts.opt1': increment(1), 'poll.voterCount': increment(1) }));
+    await assertFails(vote('bob', ['opt0', 'opt1'], {
+      'poll.counts.opt0': increment(1), 'poll.counts.opt1': increment(1), 'poll.voterCount': increment(1),
+    }));
+  });
+
+  it('refuses votes on closed polls and from outsiders', async () => {
+    await assertFails(vote('eve', ['opt0']));
+    await seed({ [messagePath('p1')]: sent('alice', 'Lunch?', { poll: poll({ closed: true }) }) });
+    await assertFails(vote('bob', ['opt0']));
+  });
+
+  it('lets the sender close the poll but not rewrite it', async () => {
+    await assertFails(updateDoc(doc(as('alice'), messagePath('p1')), { 'poll.counts.opt1': 10, 'poll.voterCount': 10 }));
+    await assertFails(updateDoc(doc(as('alice'), messagePath('p1')), { 'poll.options': [{ id: 'opt0', text: 'Salad' }] }));
+    await assertSucceeds(updateDoc(doc(as('alice'), messagePath('p1')), { 'poll.closed': true, 'poll.closedAt': serverTimestamp() }));
+  });
+
+  it('refuses polls created with votes already counted', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), messagePath('p2')), { ...newMessage('alice', 'Dinner?'), poll: poll() }));
+    await assertFails(setDoc(doc(as('alice'), messagePath('p3')), { ...newMessage('alice', 'Dinner?'), poll: poll({ counts: { opt0: 9 }, voterCount: 9 }) }));
+  });
+});
+
+describe('replies', () => {
+  it('lets members reply at the server time', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), messagePath('m1', 'replies/r1')), newMessage('bob')));
+  });
+
+  it('refuses outsiders, muted members and client timestamps', async () => {
+    await assertFails(setDoc(doc(as('eve'), messagePath('m1', 'replies/r1')), newMessage('eve')));
+    await assertFails(setDoc(doc(as('muted'), messagePath('m1', 'replies/r1')), newMessage('muted')));
+    await assertFails(setDoc(doc(as('bob'), messagePath('m1', 'replies/r1')), { ...newMessage('bob'), timestamp: Timestamp.now() }));
+  });
+});
+
+describe('readState and typing', () => {
+  it('lets members write only their own and read everyone\'s', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), groupPath('g1', 'readState/bob')), { uid: 'bob', lastReadAt: serverTimestamp() }));
+    await assertFails(setDoc(doc(as('bob'), groupPath('g1', 'readState/alice')), { uid: 'alice', lastReadAt: serverTimestamp() }));
+    await assertSucceeds(getDoc(doc(as('alice'), groupPath('g1', 'readState/bob'))));
+
+    await assertSucceeds(setDoc(doc(as('bob'), groupPath('g1', 'typing/bob')), { uid: 'bob', expiresAt: Timestamp.now() }));
+    await assertFails(setDoc(doc(as('bob'), groupPath('g1', 'typing/alice')), { uid: 'alice', expiresAt: Timestamp.now() }));
+    await assertSucceeds(getDoc(doc(as('alice'), groupPath('g1', 'typing/bob'))));
+  });
+
+  it('keeps outsiders out', async () => {
+    await assertFails(setDoc(doc(as('eve'), groupPath('g1', 'readState/eve')), { uid: 'eve', lastReadAt: serverTimestamp() }));
+    await assertFails(getDoc(doc(as('eve'), groupPath('g1', 'readState/bob'))));
+    await assertFails(setDoc(doc(as('eve'), groupPath('g1', 'typing/eve')), { uid: 'eve', expiresAt: Timestamp.now() }));
+    await assertFails(getDoc(doc(as('eve'), groupPath('g1', 'typing/bob'))));
+  });
+});
+
+describe('mentions', () => {
+  // toMentionEntry
+  const mention = (senderId, overrides = {}) => ({
+    groupId: 'g1',
+    messageId: 'm9',
+    senderId,
+    senderUsername: senderId,
+    snippet: 'hey @bob',
+    groupMention: null,
+    read: false,
+    timestamp: serverTimestamp(),
+    ...overrides,
+  });
+
+  it('lets a member who can post drop a mention in a fellow member\'s inbox', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), userPath('bob', 'mentions/g1_m9')), mention('alice')));
+  });
+
+  it('refuses muted senders, outsiders, mismatched ids and client timestamps', async () => {
+    await assertFails(setDoc(doc(as('muted'), userPath('bob', 'mentions/g1_m9')), mention('muted')));
+    await assertFails(setDoc(doc(as('alice'), userPath('eve', 'mentions/g1_m9')), mention('alice')));
+    await assertFails(setDoc(doc(as('alice'), userPath('bob', 'mentions/g1_other')), mention('alice')));
+    await assertFails(setDoc(doc(as('alice'), userPath('bob', 'mentions/g1_m9')), mention('alice', { timestamp: Timestamp.now() })));
+  });
+
+  it('lets only the recipient read and mark them', async () => {
+    await seed({ [userPath('bob', 'mentions/g1_m9')]: { ...mention('alice'), timestamp: Timestamp.now() } });
+    await assertSucceeds(updateDoc(doc(as('bob'), userPath('bob', 'mentions/g1_m9')), { read: true }));
+    await assertFails(updateDoc(doc(as('bob'), userPath('bob', 'mentions/g1_m9')), { snippet: 'edited' }));
+    await assertFails(getDoc(doc(as('alice'), userPath('bob', 'mentions/g1_m9'))));
+  });
+});
+
+describe('profile and settings', () => {
+  it('shows profiles to signed-in users and lets only the owner write theirs', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), userPath('alice', 'profile/info')), { username: 'alice', status: 'online' }));
+    await assertFails(setDoc(doc(as('bob'), userPath('alice', 'profile/info')), { username: 'alice', status: 'offline' }));
+    await assertSucceeds(getDoc(doc(as('bob'), userPath('alice', 'profile/info'))));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), userPath('alice', 'profile/info'))));
+  });
+
+  it('keeps settings private', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), userPath('alice', 'settings/notifications')), { sound: false }));
+    await assertFails(getDoc(doc(as('bob'), userPath('alice', 'settings/notifications'))));
+    await assertFails(setDoc(doc(as('bob'), userPath('alice', 'settings/gifs')), { recent: [] }));
+  });
+});
+
+describe('reminders', () => {
+  // createReminder
+  const reminder = (status = 'pending') => ({
+    groupId: 'g1',
+    messageId: 'm1',
+    senderId: 'bob',
+    senderUsername: 'bob',
+    snippet: 'hello',
+    remindAt: Timestamp.now(),
+    status,
+  });
+
+  it('lets users set pending reminders for themselves only', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), userPath('alice', 'reminders/r1')), reminder()));
+    await assertFails(setDoc(doc(as('alice'), userPath('alice', 'reminders/r2')), reminder('fired')));
+    await assertFails(setDoc(doc(as('bob'), userPath('alice', 'reminders/r3')), reminder()));
+    await assertFails(getDoc(doc(as('bob'), userPath('alice', 'reminders/r1'))));
+  });
+
+  it('lets the user dismiss but leaves firing to the scheduler', async () => {
+    await seed({ [userPath('alice', 'reminders/r1')]: reminder() });
+    await assertFails(updateDoc(doc(as('alice'), userPath('alice', 'reminders/r1')), { status: 'fired' }));
+    await assertFails(updateDoc(doc(as('alice'), userPath('alice', 'reminders/r1')), { status: 'dismissed', remindAt: Timestamp.now() }));
+    await assertSucceeds(updateDoc(doc(as('alice'), userPath('alice', 'reminders/r1')), { status: 'dismissed' }));
+  });
+});
+
+describe('usernames', () => {
+  beforeEach(() => seed({
+    [dataPath('usernames/alice')]: { uid: 'alice', username: 'alice', usernameLower: 'alice' },
+  }));
+
+  // searchUsers
+  const search = (db, pageSize) => getDocs(query(collection(db, dataPath('usernames')), orderBy('usernameLower'), limit(pageSize)));
+
+  it('lets anyone check whether a name is taken', async () => {
+    await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), dataPath('usernames/alice'))));
+  });
+
+  it('lets signed-in users search a page at a time, never the whole list', async () => {
+    await assertSucceeds(search(as('bob'), 10));
+    await assertFails(search(as('bob'), 11));
+    await assertFails(getDocs(collection(as('bob'), dataPath('usernames'))));
+    await assertFails(search(testEnv.unauthenticatedContext().firestore(), 10));
+  });
+
+  it('lets users claim and release only their own name', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), dataPath('usernames/bob')), { uid: 'bob', username: 'Bob', usernameLower: 'bob' }));
+    await assertFails(setDoc(doc(as('bob'), dataPath('usernames/carol')), { uid: 'bob', username: 'Bob', usernameLower: 'bob' }));
+    await assertFails(setDoc(doc(as('bob'), dataPath('usernames/eve')), { uid: 'eve', username: 'eve', usernameLower: 'eve' }));
+    await assertFails(deleteDoc(doc(as('bob'), dataPath('usernames/alice'))));
+    await assertSucceeds(deleteDoc(doc(as('alice'), dataPath('usernames/alice'))));
+  });
+});
+
+describe('friends', () => {
+  beforeEach(() => seed({
+    [dataPath('friendRequests/accepted')]: { senderId: 'alice', receiverId: 'bob', status: 'accepted' },
+    [dataPath('friendRequests/pending')]: { senderId: 'alice', receiverId: 'bob', status: 'pending' },
+  }));
+
+  it('lets users keep their own list', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), userPath('alice', 'friends/bob')), { uid: 'bob', username: 'bob' }));
+  });
+
+  it('lets the other side add itself only on an accepted request', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), userPath('alice', 'friends/bob')), { uid: 'bob', username: 'bob', requestId: 'accepted' }));
+    await assertFails(setDoc(doc(as('bob'), userPath('alice', 'friends/bob')), { uid: 'bob', username: 'bob', requestId: 'pending' }));
+    await assertFails(setDoc(doc(as('eve'), userPath('alice', 'friends/eve')), { uid: 'eve', username: 'eve', requestId: 'accepted' }));
+  });
+
+  it('lets the other side rename itself but nothing else', async () => {
+    await seed({ [userPath('alice', 'friends/bob')]: { uid: 'bob', username: 'bob', requestId: 'accepted' } });
+    await assertSucceeds(updateDoc(doc(as('bob'), userPath('alice', 'friends/bob')), { username: 'bobby' }));
+    await assertFails(updateDoc(doc(as('bob'), userPath('alice', 'friends/bob')), { uid: 'eve' }));
+    await assertFails(getDoc(doc(as('bob'), userPath('alice', 'friends/bob'))));
+  });
+});
+
+describe('friendRequests', () => {
+  const request = (senderId, receiverId, status = 'pending') => ({ senderId, senderUsername: senderId, receiverId, receiverUsername: receiverId, status });
+
+  it('lets users send pending requests to others', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), dataPath('friendRequests/r1')), request('alice', 'bob')));
+    await assertFails(setDoc(doc(as('alice'), dataPath('friendRequests/r2')), request('alice', 'bob', 'accepted')));
+    await assertFails(setDoc(doc(as('alice'), dataPath('friendRequests/r3')), request('alice', 'alice')));
+    await assertFails(setDoc(doc(as('alice'), dataPath('friendRequests/r4')), request('bob', 'carol')));
+  });
+
+  it('refuses requests to someone who blocked the sender', async () => {
+    await seed({ [dataPath('blocks/bob_alice')]: { blockerId: 'bob', blockedId: 'alice' } });
+    await assertFails(setDoc(doc(as('alice'), dataPath('friendRequests/r1')), request('alice', 'bob')));
+  });
+
+  it('lets the receiver accept and the sender cancel', async () => {
+    await seed({ [dataPath('friendRequests/r1')]: request('alice', 'bob') });
+    await assertFails(updateDoc(doc(as('alice'), dataPath('friendRequests/r1')), { status: 'accepted', resolvedAt: serverTimestamp() }));
+    await assertFails(getDoc(doc(as('eve'), dataPath('friendRequests/r1'))));
+    await assertSucceeds(updateDoc(doc(as('alice'), dataPath('friendRequests/r1')), { status: 'cancelled', resolvedAt: serverTimestamp() }));
+
+    await seed({ [dataPath('friendRequests/r2')]: request('alice', 'bob') });
+    await assertSucceeds(updateDoc(doc(as('bob'), dataPath('friendRequests/r2')), { status: 'accepted', resolvedAt: serverTimestamp() }));
+  });
+});
+
+describe('groups', () => {
+  const group = (uid) => doc(as(uid), groupPath('g1'));
+
+  it('creates groups owned by their only member, and DMs under their fixed id', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), groupPath('g2')), { name: 'mine', type: 'group', ownerId: 'alice', members: ['alice'] }));
+    await assertFails(setDoc(doc(as('alice'), groupPath('g3')), { name: 'ours', type: 'group', ownerId: 'alice', members: ['alice', 'bob'] }));
+
+    const dm = { name: 'alice & bob', type: 'dm', members: ['alice', 'bob'], memberUsernames: { alice: 'alice', bob: 'bob' }, ownerId: 'alice' };
+    await assertFails(setDoc(doc(as('alice'), groupPath('dm_bob_eve')), dm));
+    await assertSucceeds(setDoc(doc(as('alice'), groupPath('dm_alice_bob')), dm));
+  });
+
+  it('refuses DMs between blocked users', async () => {
+    await seed({ [dataPath('blocks/bob_alice')]: { blockerId: 'bob', blockedId: 'alice' } });
+    await assertFails(setDoc(doc(as('alice'), groupPath('dm_alice_bob')), {
+      name: 'alice & bob', type: 'dm', members: ['alice', 'bob'], memberUsernames: { alice: 'alice', bob: 'bob' }, ownerId: 'alice',
+    }));
+  });
+
+  it('lets only the owner rename the group', async () => {
+    await assertSucceeds(updateDoc(group('owner'), { name: 'renamed' }));
+    await assertFails(updateDoc(group('admin'), { name: 'renamed' }));
+    await assertFails(updateDoc(group('alice'), { name: 'renamed' }));
+  });
+
+  it('lets admins moderate members but not managers or roles', async () => {
+    await assertSucceeds(updateDoc(group('admin'), { topic: 'Lunch plans' }));
+    await assertSucceeds(updateDoc(group('admin'), { members: arrayRemove('bob') }));
+    await assertFails(updateDoc(group('admin'), { members: arrayRemove('owner') }));
+    await assertFails(updateDoc(group('admin'), { 'mutedMembers.owner': { untilMs: null } }));
+    await assertFails(updateDoc(group('admin'), { 'roles.alice': 'admin' }));
+    await assertFails(updateDoc(group('alice'), { members: arrayRemove('bob') }));
+  });
+
+  it('keeps banned users out', async () => {
+    await seed({ [groupPath('g1')]: { ...channel, bannedMembers: ['eve'] } });
+    await assertFails(updateDoc(group('owner'), { members: arrayUnion('eve') }));
+  });
+
+  it('lets members leave, and only themselves', async () => {
+    await assertSucceeds(updateDoc(group('alice'), { members: arrayRemove('alice'), lastMessageAt: serverTimestamp() }));
+    await assertFails(updateDoc(group('bob'), { members: arrayRemove('admin', 'bob') }));
+    await assertFails(updateDoc(group('eve'), { lastMessageAt: serverTimestamp() }));
+  });
+
+  it('hands ownership on when the owner leaves', async () => {
+    await assertSucceeds(updateDoc(group('owner'), { members: arrayRemove('owner'), ownerId: 'admin', 'roles.admin': deleteField() }));
+  });
+});
+
+describe('blocks', () => {
+  it('lets users block in their own name', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), dataPath('blocks/alice_bob')), { blockerId: 'alice', blockedId: 'bob' }));
+    await assertFails(setDoc(doc(as('alice'), dataPath('blocks/bob_alice')), { blockerId: 'bob', blockedId: 'alice' }));
+  });
+
+  it('shows a block to both sides only, and lets only the blocker lift it', async () => {
+    await seed({ [dataPath('blocks/alice_bob')]: { blockerId: 'alice', blockedId: 'bob' } });
+    await assertSucceeds(getDoc(doc(as('bob'), dataPath('blocks/alice_bob'))));
+    await assertFails(getDoc(doc(as('eve'), dataPath('blocks/alice_bob'))));
+    await assertFails(deleteDoc(doc(as('bob'), dataPath('blocks/alice_bob'))));
+    await assertSucceeds(deleteDoc(doc(as('alice'), dataPath('blocks/alice_bob'))));
+  });
+});
+
+describe('scheduledMessages', () => {
+  // scheduleMessage
+  const scheduled = (senderId) => ({
+    senderId,
+    message: { senderId, senderUsername: senderId, content: 'later' },
+    snippet: 'later',
+    sendAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000),
+    timeZone: 'UTC',
+    status: 'pending',
+    createdAt: serverTimestamp(),
+  });
+
+  it('lets members who can post schedule their own messages', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), groupPath('g1', 'scheduledMessages/s1')), scheduled('alice')));
+    await assertFails(setDoc(doc(as('muted'), groupPath('g1', 'scheduledMessages/s2')), scheduled('muted')));
+    await assertFails(setDoc(doc(as('eve'), groupPath('g1', 'scheduledMessages/s3')), scheduled('eve')));
+  });
+
+  it('lets the sender cancel but leaves delivery to the server', async () => {
+    await seed({ [groupPath('g1', 'scheduledMessages/s1')]: { ...scheduled('alice'), createdAt: Timestamp.now() } });
+    await assertFails(getDoc(doc(as('bob'), groupPath('g1', 'scheduledMessages/s1'))));
+    await assertFails(updateDoc(doc(as('alice'), groupPath('g1', 'scheduledMessages/s1')), { status: 'sent' }));
+    await assertSucceeds(updateDoc(doc(as('alice'), groupPath('g1', 'scheduledMessages/s1')), { status: 'cancelled', updatedAt: serverTimestamp() }));
+  });
+});
+
+describe('reports', () => {
+  // toReport
+  const report = (reporterId) => ({
+    messageId: 'm1',
+    senderId: 'alice',
+    senderUsername: 'alice',
+    snippet: 'hello',
+    reporterId,
+    reporterUsername: reporterId,
+    reason: 'Spam',
+    details: '',
+    status: 'open',
+  });
+
+  it('takes one report per member per message', async () => {
+    await assertSucceeds(setDoc(doc(as('bob'), groupPath('g1', 'reports/m1_bob')), report('bob')));
+    await assertFails(setDoc(doc(as('bob'), groupPath('g1', 'reports/m1_alice')), report('alice')));
+    await assertFails(setDoc(doc(as('eve'), groupPath('g1', 'reports/m1_eve')), report('eve')));
+  });
+
+  it('lets managers read and resolve them', async () => {
+    await seed({ [groupPath('g1', 'reports/m1_bob')]: report('bob') });
+    await assertFails(getDoc(doc(as('bob'), groupPath('g1', 'reports/m1_bob'))));
+    await assertSucceeds(getDoc(doc(as('admin'), groupPath('g1', 'reports/m1_bob'))));
+    await assertFails(updateDoc(doc(as('alice'), groupPath('g1', 'reports/m1_bob')), { status: 'dismissed', resolvedBy: 'alice' }));
+    await assertSucceeds(updateDoc(doc(as('admin'), groupPath('g1', 'reports/m1_bob')), {
+      status: 'dismissed', resolvedBy: 'admin', resolution: 'dismiss', resolvedAt: serverTimestamp(),
+    }));
+  });
+});
+
+describe('moderationLog', () => {
+  const entry = (actorId) => ({ action: 'mute', actorId, actorUsername: actorId, targetId: 'bob', reportCount: 0, timestamp: serverTimestamp() });
+
+  it('takes entries from managers in their own name', async () => {
+    await assertSucceeds(setDoc(doc(as('admin'), groupPath('g1', 'moderationLog/e1')), entry('admin')));
+    await assertFails(setDoc(doc(as('admin'), groupPath('g1', 'moderationLog/e2')), entry('owner')));
+    await assertFails(setDoc(doc(as('alice'), groupPath('g1', 'moderationLog/e3')), entry('alice')));
+  });
+
+  it('is only readable by managers', async () => {
+    await seed({ [groupPath('g1', 'moderationLog/e1')]: { ...entry('admin'), timestamp: Timestamp.now() } });
+    await assertSucceeds(getDoc(doc(as('owner'), groupPath('g1', 'moderationLog/e1'))));
+    await assertFails(getDoc(doc(as('alice'), groupPath('g1', 'moderationLog/e1'))));
+  });
+});
+
+describe('imports', () => {
+  const importing = { name: 'general (imported)', type: 'group', ownerId: 'alice', members: ['alice'], importing: true };
+  // toImportedMessage
+  const imported = { ...sent('IMPORTED'), senderUsername: 'carol', importedFrom: { senderId: 'carol', messageId: 'i1' } };
+
+  beforeEach(() => seed({ [groupPath('g2')]: importing }));
+
+  it('lets the owner write history, SYSTEM notices included, while the group is importing', async () => {
+    await assertSucceeds(setDoc(doc(as('alice'), groupPath('g2', 'messages/i1')), imported));
+    await assertSucceeds(setDoc(doc(as('alice'), groupPath('g2', 'messages/i2')), sent('SYSTEM', 'carol left the group.')));
+    await assertSucceeds(setDoc(doc(as('alice'), groupPath('g2', 'messages/i1/replies/r1')), imported));
+  });
+
+  it('refuses imported history once the import is finished, or from anyone else', async () => {
+    const db = as('alice');
+    const batch = writeBatch(db);
+    batch.set(doc(db, groupPath('g2', 'messages/n1')), notice('alice imported 1 messages from "general" (exported today).'));
+    batch.update(doc(db, groupPath('g2')), { importing: deleteField(), lastMessageAt: serverTimestamp() });
+    await assertSucceeds(batch.commit());
+
+    await assertFails(setDoc(doc(as('alice'), groupPath('g2', 'messages/i1')), imported));
+    await assertFails(setDoc(doc(as('owner'), messagePath('i1')), imported));
+  });
+
+  it('only marks groups importing when they are created', async () => {
+    await assertFails(updateDoc(doc(as('owner'), groupPath('g1')), { importing: true }));
+  });
+
+  it('lets the owner remove a failed import, and nothing else', async () => {
+    await assertSucceeds(deleteDoc(doc(as('alice'), groupPath('g2', 'messages/i1'))));
+    await assertFails(deleteDoc(doc(as('owner'), messagePath('m1'))));
+    await assertFails(deleteDoc(doc(as('owner'), groupPath('g1'))));
+    await assertSucceeds(deleteDoc(doc(as('alice'), groupPath('g2'))));
+  });
+});
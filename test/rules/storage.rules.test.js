@@ -0,0 +1,74 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { deleteObject, getMetadata, ref, uploadBytes } from 'firebase/storage';
+
+const appId = 'test-app';
+const groupPath = (groupId) => `artifacts/${appId}/public/data/groups/${groupId}`;
+// getAttachmentStoragePath / getAvatarStoragePath
+const attachmentPath = (messageId, fileName = 'photo.png') => `artifacts/${appId}/groups/g1/attachments/${messageId}/${fileName}`;
+const avatarPath = (uid) => `artifacts/${appId}/users/${uid}/avatar.jpg`;
+
+const bytes = new Uint8Array([1, 2, 3]);
+
+let testEnv;
+
+const as = (uid) => testEnv.authenticatedContext(uid).storage();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-prochat',
+    firestore: { rules: readFileSync(new URL('../../firestore.rules', import.meta.url), 'utf8') },
+    storage: { rules: readFileSync(new URL('../../storage.rules', import.meta.url), 'utf8') },
+  });
+});
+
+afterAll(() => testEnv?.cleanup());
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, groupPath('g1')), { name: 'general', type: 'group', ownerId: 'owner', members: ['owner', 'admin', 'alice', 'bob'], roles: { admin: 'admin' } });
+    await setDoc(doc(db, `${groupPath('g1')}/messages/m1`), { senderId: 'alice', senderUsername: 'alice', content: '' });
+    await uploadBytes(ref(context.storage(), attachmentPath('m1')), bytes, { contentType: 'image/png' });
+    await uploadBytes(ref(context.storage(), avatarPath('alice')), bytes, { contentType: 'image/jpeg' });
+  });
+});
+
+describe('attachments', () => {
+  it('lets members upload and read files, and keeps outsiders out', async () => {
+    await assertSucceeds(uploadBytes(ref(as('bob'), attachmentPath('m2')), bytes, { contentType: 'image/png' }));
+    await assertSucceeds(getMetadata(ref(as('bob'), attachmentPath('m1'))));
+    await assertFails(uploadBytes(ref(as('eve'), attachmentPath('m3')), bytes, { contentType: 'image/png' }));
+    await assertFails(getMetadata(ref(as('eve'), attachmentPath('m1'))));
+  });
+
+  it('never replaces a file in place', async () => {
+    await assertFails(uploadBytes(ref(as('alice'), attachmentPath('m1')), bytes, { contentType: 'image/png' }));
+  });
+
+  it('lets the sender or a manager delete a message\'s files', async () => {
+    await assertFails(deleteObject(ref(as('bob'), attachmentPath('m1'))));
+    await assertSucceeds(deleteObject(ref(as('alice'), attachmentPath('m1'))));
+    await testEnv.withSecurityRulesDisabled((context) => uploadBytes(ref(context.storage(), attachmentPath('m1')), bytes));
+    await assertSucceeds(deleteObject(ref(as('admin'), attachmentPath('m1'))));
+  });
+});
+
+describe('avatars', () => {
+  it('shows avatars to signed-in users', async () => {
+    await assertSucceeds(getMetadata(ref(as('bob'), avatarPath('alice'))));
+    await assertFails(getMetadata(ref(testEnv.unauthenticatedContext().storage(), avatarPath('alice'))));
+  });
+
+  it('lets users replace and remove only their own JPEG avatar', async () => {
+    await assertSucceeds(uploadBytes(ref(as('alice'), avatarPath('alice')), bytes, { contentType: 'image/jpeg' }));
+    await assertFails(uploadBytes(ref(as('alice'), avatarPath('alice')), bytes, { contentType: 'image/png' }));
+    await assertFails(uploadBytes(ref(as('bob'), avatarPath('alice')), bytes, { contentType: 'image/jpeg' }));
+    await assertFails(deleteObject(ref(as('bob'), avatarPath('alice'))));
+    await assertSucceeds(deleteObject(ref(as('alice'), avatarPath('alice'))));
+  });
+});
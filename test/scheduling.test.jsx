@@ -0,0 +1,81 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import {
+  createMemoryDataStore,
+  DataStoreContext,
+  RemindersView,
+  getZonedParts,
+  zonedTimeToMillis,
+  getNextZonedTime,
+  toDateTimeInputValue,
+  fromDateTimeInputValue,
+} from '../app.jsx';
+
+afterEach(cleanup);
+
+const NEW_YORK = 'America/New_York';
+
+describe('zoned time helpers', () => {
+  it('reads the wall clock of an instant in a time zone', () => {
+    expect(getZonedParts(Date.UTC(2024, 0, 15, 14, 30), NEW_YORK)).toEqual({ year: 2024, month: 1, day: 15, hour: 9, minute: 30, second: 0 });
+  });
+
+  it('converts wall-clock times on either side of a DST change', () => {
+    expect(zonedTimeToMillis({ year: 2024, month: 3, day: 9, hour: 9, minute: 0 }, NEW_YORK)).toBe(Date.UTC(2024, 2, 9, 14, 0));
+    expect(zonedTimeToMillis({ year: 2024, month: 3, day: 10, hour: 9, minute: 0 }, NEW_YORK)).toBe(Date.UTC(2024, 2, 10, 13, 0));
+  });
+
+  it('finds the next occurrence of a time, rolling over to tomorrow once it has passed', () => {
+    // 08:00 in Tokyo: 09:00 is still to come today
+    expect(getNextZonedTime(9, 0, 'Asia/Tokyo', Date.UTC(2024, 0, 15, 23, 0))).toBe(Date.UTC(2024, 0, 16, 0, 0));
+    // 09:00:30 in Tokyo is too close, so it's tomorrow
+    expect(getNextZonedTime(9, 0, 'Asia/Tokyo', Date.UTC(2024, 0, 16, 0, 0, 30))).toBe(Date.UTC(2024, 0, 17, 0, 0));
+    // Saturday 10:00 EST to Sunday 09:00 EDT
+    expect(getNextZonedTime(9, 0, NEW_YORK, Date.UTC(2024, 2, 9, 15, 0))).toBe(Date.UTC(2024, 2, 10, 13, 0));
+  });
+
+  it('round-trips datetime-local input values in the chosen time zone', () => {
+    const ms = Date.UTC(2024, 6, 1, 13, 5);
+    expect(toDateTimeInputValue(ms, NEW_YORK)).toBe('2024-07-01T09:05');
+    expect(fromDateTimeInputValue('2024-07-01T09:05', NEW_YORK)).toBe(ms);
+    expect(fromDateTimeInputValue('', NEW_YORK)).toBeNull();
+  });
+});
+
+describe('RemindersView', () => {
+  const groups = [
+    { id: 'g1', type: 'group', name: 'general' },
+    { id: 'dm_alice_bob', type: 'dm', members: ['alice', 'bob'], memberUsernames: { alice: 'alice', bob: 'bob' } },
+  ];
+  const reminders = {
+    fired: [{ id: 'r1', groupId: 'dm_alice_bob', senderUsername: 'bob', snippet: 'Lunch tomorrow?', remindAt: Timestamp.fromMillis(1000) }],
+    upcoming: [{ id: 'r2', groupId: 'g1', senderUsername: 'carol', snippet: 'Release notes', remindAt: Timestamp.fromMillis(2000) }],
+  };
+
+  it('lists due and upcoming reminders with where they came from', () => {
+    const onOpenReminder = vi.fn();
+    const onCancelReminder = vi.fn();
+    render(
+      <DataStoreContext.Provider value={createMemoryDataStore()}>
+        <RemindersView
+          reminders={reminders}
+          groups={groups}
+          currentUserId="alice"
+          onOpenReminder={onOpenReminder}
+          onDismissReminder={vi.fn()}
+          onCancelReminder={onCancelReminder}
+        />
+      </DataStoreContext.Provider>
+    );
+
+    expect(screen.getByText('bob in bob')).toBeTruthy();
+    expect(screen.getByText(/· #general$/)).toBeTruthy();
+
+    fireEvent.click(screen.getByText('Open'));
+    expect(onOpenReminder).toHaveBeenCalledWith(reminders.fired[0]);
+    fireEvent.click(screen.getByText('Cancel'));
+    expect(onCancelReminder).toHaveBeenCalledWith(reminders.upcoming[0]);
+  });
+});
@@ -0,0 +1,128 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, cleanup, act } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import {
+  createMemoryDataStore,
+  DataStoreContext,
+  SearchView,
+  createMessageSearchIndex,
+  getSearchSnippet,
+  syncGroupSearchIndex,
+} from '../app.jsx';
+
+afterEach(() => {
+  cleanup();
+  vi.useRealTimers();
+});
+
+const message = (id, senderUsername, content, millis, extra = {}) => ({
+  id,
+  type: 'text',
+  senderId: senderUsername,
+  senderUsername,
+  content,
+  timestamp: Timestamp.fromMillis(millis),
+  ...extra,
+});
+
+const buildIndex = () => {
+  const index = createMessageSearchIndex();
+  index.add('g1', message('m1', 'alice', 'Deploying the release tonight', 1000));
+  index.add('g1', message('m2', 'bob', 'Release notes are in the wiki', 2000));
+  index.add('g2', message('m3', 'alice', 'Lunch at noon?', 3000));
+  index.add('g2', message('m4', 'carol', '', 4000, { type: 'file', attachment: { name: 'release-plan.pdf' } }));
+  return index;
+};
+
+describe('createMessageSearchIndex', () => {
+  it('matches every term by prefix, newest first', () => {
+    const { results, total } = buildIndex().search({ text: 'rel' });
+    expect(total).toBe(3);
+    expect(results.map(r => r.id)).toEqual(['m4', 'm2', 'm1']);
+    expect(buildIndex().search({ text: 'release wiki' }).results.map(r => r.id)).toEqual(['m2']);
+  });
+
+  it('filters by conversation, sender, type and date range', () => {
+    const index = buildIndex();
+    expect(index.search({ text: 'release', groupId: 'g2' }).results.map(r => r.id)).toEqual(['m4']);
+    expect(index.search({ sender: 'AL' }).results.map(r => r.id)).toEqual(['m3', 'm1']);
+    expect(index.search({ type: 'file' }).results.map(r => r.id)).toEqual(['m4']);
+    expect(index.search({ fromMs: 1500, toMs: 3000 }).results.map(r => r.id)).toEqual(['m3', 'm2']);
+  });
+
+  it('reindexes edits and drops deleted and system messages', () => {
+    const index = buildIndex();
+    index.add('g1', message('m1', 'alice', 'Deploy moved to Friday', 1000, { editedAt: Timestamp.fromMillis(5000) }));
+    index.add('g1', message('m2', 'bob', '', 2000, { deleted: true }));
+    index.add('g1', message('s1', 'System', 'release bot joined', 6000, { senderId: 'SYSTEM' }));
+
+    expect(index.search({ text: 'release' }).results.map(r => r.id)).toEqual(['m4']);
+    expect(index.search({ text: 'friday' }).results.map(r => r.id)).toEqual(['m1']);
+    expect(index.size).toBe(3);
+  });
+
+  it('forgets conversations the user has left', () => {
+    const index = buildIndex();
+    index.retainGroups(['g2']);
+    expect(index.size).toBe(2);
+    expect(index.getSenders()).toEqual(['alice', 'carol']);
+  });
+});
+
+describe('syncGroupSearchIndex', () => {
+  it('indexes a group from the store, then only what was sent, edited or deleted since', async () => {
+    const now = Date.now();
+    const store = createMemoryDataStore({
+      groups: { g1: { name: 'general', type: 'group', ownerId: 'alice', members: ['alice', 'bob'] } },
+      messages: { g1: [message('m1', 'alice', 'Deploying the release tonight', now - 2000), message('m2', 'bob', 'Lunch?', now - 1000)] },
+    });
+    const index = createMessageSearchIndex();
+
+    await syncGroupSearchIndex(store, index, 'g1');
+    expect(index.search({ text: 'release' }).results.map(r => r.id)).toEqual(['m1']);
+
+    await store.messages.edit('g1', 'm2', 'bob', 'Lunch after the release?');
+    await store.messages.remove('g1', 'm1', 'alice');
+    await store.messages.send('g1', { senderId: 'bob', senderUsername: 'bob', content: 'Release notes are up' }, 'm3');
+    await syncGroupSearchIndex(store, index, 'g1');
+
+    expect(index.search({ text: 'release' }).results.map(r => r.id)).toEqual(['m3', 'm2']);
+    expect(index.getSyncState('g1').pending).toBeNull();
+  });
+});
+
+describe('getSearchSnippet', () => {
+  it('cuts a window around the first match in long text', () => {
+    const text = `${'a '.repeat(100)}needle${' b'.repeat(100)}`;
+    const snippet = getSearchSnippet(text, ['needle']);
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('needle');
+    expect(getSearchSnippet('short text', ['text'])).toBe('short text');
+  });
+});
+
+describe('SearchView', () => {
+  it('shows matches with where they were said, and opens them', () => {
+    vi.useFakeTimers();
+    const onOpenResult = vi.fn();
+    const groups = [{ id: 'g1', type: 'group', name: 'general' }, { id: 'g2', type: 'dm', members: ['alice', 'carol'], memberUsernames: { alice: 'alice', carol: 'carol' } }];
+    render(
+      <DataStoreContext.Provider value={createMemoryDataStore()}>
+        <SearchView searchIndex={buildIndex()} indexVersion={1} indexing={false} groups={groups} currentUserId="alice" onOpenResult={onOpenResult} />
+      </DataStoreContext.Provider>
+    );
+
+    fireEvent.change(screen.getByPlaceholderText('Search all conversations...'), { target: { value: 'wiki' } });
+    act(() => vi.advanceTimersByTime(200));
+
+    expect(screen.getByText(/1 match$/)).toBeTruthy();
+    expect(screen.getByText(/in #general/)).toBeTruthy();
+    fireEvent.click(screen.getByText('wiki'));
+    expect(onOpenResult).toHaveBeenCalledWith(expect.objectContaining({ groupId: 'g1', id: 'm2' }));
+
+    // DMs are labelled by the other participant
+    expect(screen.getByRole('option', { name: 'carol' })).toBeTruthy();
+  });
+});
@@ -0,0 +1,8 @@
+// Browser APIs the chat view relies on that jsdom doesn't provide
+globalThis.ResizeObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+Element.prototype.scrollIntoView ??= function scrollIntoView() {};
@@ -0,0 +1,120 @@
+import React from 'react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, cleanup } from '@testing-library/react';
+import { Timestamp } from 'firebase/firestore';
+import {
+  MessageItem,
+  parseSlashCommand,
+  getAvailableSlashCommands,
+  registerSlashCommand,
+  registerGifProvider,
+  isGroupMuted,
+} from '../app.jsx';
+
+afterEach(cleanup);
+
+const group = { id: 'g1', name: 'general', type: 'group', ownerId: 'alice', members: ['alice', 'bob'] };
+const dm = { id: 'dm_alice_bob', type: 'dm', members: ['alice', 'bob'] };
+
+const getCommand = (name, target = group) => getAvailableSlashCommands(target).find(command => command.name === name);
+
+const stubProvider = (id, kind, gifs) => ({
+  id,
+  label: id,
+  kind,
+  getCategories: async () => [],
+  trending: async () => gifs,
+  search: vi.fn(async () => gifs),
+  byCategory: async () => gifs,
+});
+
+describe('parseSlashCommand', () => {
+  it('splits the command name from its arguments', () => {
+    expect(parseSlashCommand('/ME waves hello')).toEqual({ name: 'me', args: 'waves hello' });
+    expect(parseSlashCommand('/gif   dancing cats  ')).toEqual({ name: 'gif', args: 'dancing cats' });
+    expect(parseSlashCommand('/help')).toEqual({ name: 'help', args: '' });
+  });
+
+  it('leaves ordinary text, literal slashes and paths alone', () => {
+    expect(parseSlashCommand('hello /me')).toBeNull();
+    expect(parseSlashCommand('//not a command')).toBeNull();
+    expect(parseSlashCommand('/')).toBeNull();
+    expect(parseSlashCommand('/usr/bin')).toBeNull();
+  });
+});
+
+describe('getAvailableSlashCommands', () => {
+  it('offers channel-only commands in channels but not in DMs', () => {
+    expect(getCommand('topic')).toBeTruthy();
+    expect(getCommand('topic', dm)).toBeUndefined();
+    expect(getCommand('me', dm)).toBeTruthy();
+  });
+
+  it('includes registered commands, available everywhere by default', () => {
+    registerSlashCommand({ name: 'test-ping', description: 'Ping', run: async () => {} });
+    expect(getCommand('test-ping', dm)).toMatchObject({ args: '', scopes: ['group', 'dm'] });
+  });
+});
+
+describe('/gif', () => {
+  it('sends the top GIF from a registered provider, skipping sticker packs', async () => {
+    const gifs = stubProvider('test-gifs', 'gif', [{ id: 'test:1', url: 'https://gifs.test/cat.gif', previewUrl: null, description: 'cat' }]);
+    const stickers = stubProvider('test-stickers', 'sticker', [{ id: 'sticker:1', url: 'data:image/svg+xml,cat', previewUrl: null, description: 'cat' }]);
+    registerGifProvider(gifs);
+    registerGifProvider(stickers);
+    const sendMessage = vi.fn();
+
+    await getCommand('gif').run('cats', { group, sendMessage });
+
+    expect(sendMessage).toHaveBeenCalledWith({ type: 'gif', content: 'https://gifs.test/cat.gif' });
+    expect(gifs.search).toHaveBeenCalledWith('cats');
+    expect(stickers.search).not.toHaveBeenCalled();
+  });
+
+  it('uses the latest provider registered under an id', async () => {
+    const first = stubProvider('test-gifs', 'gif', []);
+    const second = stubProvider('test-gifs', 'gif', [{ id: 'test:2', url: 'https://gifs.test/dog.gif', previewUrl: null, description: 'dog' }]);
+    registerGifProvider(first);
+    registerGifProvider(second);
+    const sendMessage = vi.fn();
+
+    await getCommand('gif').run('dogs', { group, sendMessage });
+
+    expect(sendMessage).toHaveBeenCalledWith({ type: 'gif', content: 'https://gifs.test/dog.gif' });
+    expect(first.search).not.toHaveBeenCalled();
+  });
+
+  it('reports usage mistakes to the user', async () => {
+    await expect(getCommand('gif').run('', { group, sendMessage: vi.fn() })).rejects.toMatchObject({ code: 'command/invalid' });
+  });
+});
+
+describe('/shrug', () => {
+  it('appends the shrug, which renders literally rather than as Markdown', async () => {
+    const sendMessage = vi.fn();
+    await getCommand('shrug').run('oh well', { group, sendMessage });
+    const { content } = sendMessage.mock.calls[0][0];
+    expect(content).toBe('oh well ¯\\_(ツ)_/¯');
+
+    const { container } = render(
+      <MessageItem
+        msg={{ id: 'm1', type: 'text', senderId: 'bob', senderUsername: 'bob', content, timestamp: Timestamp.fromMillis(1000) }}
+        currentUserId="alice"
+        readOnly
+      />
+    );
+    expect(container.textContent).toContain('oh well ¯\\_(ツ)_/¯');
+    expect(container.querySelector('em')).toBeNull();
+  });
+});
+
+describe('isGroupMuted', () => {
+  const now = 10000;
+
+  it('mutes until the expiry, or indefinitely without one', () => {
+    expect(isGroupMuted({}, 'g1', now)).toBe(false);
+    expect(isGroupMuted({ g1: { until: null } }, 'g1', now)).toBe(true);
+    expect(isGroupMuted({ g1: { until: Timestamp.fromMillis(now + 1) } }, 'g1', now)).toBe(true);
+    expect(isGroupMuted({ g1: { until: Timestamp.fromMillis(now - 1) } }, 'g1', now)).toBe(false);
+  });
+});
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { getMessageSnippet, buildQuote } from '../app.jsx';
+
+describe('getMessageSnippet', () => {
+  it('truncates long text and summarises GIFs and deleted messages', () => {
+    expect(getMessageSnippet({ content: 'Short' })).toBe('Short');
+    expect(getMessageSnippet({ content: 'x'.repeat(150) })).toBe(`${'x'.repeat(100)}…`);
+    expect(getMessageSnippet({ type: 'gif', content: 'https://media.example/cat.gif' })).toBe('GIF');
+    expect(getMessageSnippet({ content: 'secret', deleted: true })).toBe('Deleted message');
+  });
+});
+
+describe('buildQuote', () => {
+  it('copies just enough of the original to render and jump to it', () => {
+    expect(buildQuote({ id: 'm1', senderId: 'bob', content: 'Lunch?', timestamp: 1 })).toEqual({
+      messageId: 'm1',
+      senderId: 'bob',
+      senderUsername: 'Anonymous User',
+      snippet: 'Lunch?',
+    });
+  });
+});
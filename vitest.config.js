@@ -0,0 +1,11 @@
+import { configDefaults, defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    environment: 'jsdom',
+    include: ['test/**/*.test.{js,jsx}'],
+    // Needs the Firestore and Storage emulators; see vitest.rules.config.js
+    exclude: [...configDefaults.exclude, 'test/rules/**'],
+    setupFiles: ['test/setup.js'],
+  },
+});
@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+// Security rules tests run against the Firestore and Storage emulators: `npm run test:rules`
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['test/rules/**/*.test.js'],
+    fileParallelism: false,
+    testTimeout: 20000,
+  },
+});